@@ -0,0 +1,69 @@
+/**
+ * WebChess Pro — AI Search Worker (ai-worker.js)
+ * Runs ChessAI off the main thread. Started by ChessAI as a module worker.
+ *
+ * Protocol (main → worker):
+ *   { type: 'position', startFEN, variant, moves }   moves in UCI form
+ *   { type: 'go', id, limits }                       limits: { depth, nodes, movetime, level, personality, multiPV }
+ *   { type: 'hash', mb }                             resize (and clear) the transposition table
+ *   { type: 'weights', weights }                     load evaluation weights (ChessEngine.loadEvalWeights)
+ *   { type: 'stop' }
+ * Protocol (worker → main):
+ *   { type: 'info', id, move, score, depth, nodes, lines }  each completed depth
+ *   { type: 'bestmove', id, move, score, depth, nodes, lines, tablebase }
+ *   lines: [{ score, pv }] best first, pv in UCI form
+ *   { type: 'error', id, message }
+ *
+ * The search is synchronous, so a 'stop' that arrives mid-search is only
+ * read once it finishes; ChessAI cancels a running search by terminating
+ * the worker and keeping the last 'info' move.
+ */
+
+'use strict';
+
+import { ChessEngine } from './engine.js';
+import { ChessAI } from './ai.js';
+import { Tablebase } from './tablebase.js';
+
+const engine = new ChessEngine();
+const ai     = new ChessAI();
+
+function setPosition({ startFEN, variant, moves = [] }) {
+  engine.loadFEN(startFEN || ChessEngine.START_FEN, { variant });
+  for (const uci of moves) {
+    const move = engine.moveFromUci(uci);
+    if (!move) throw new Error(`Illegal move in position: ${uci}`);
+    engine.applyMoveFull(move);
+  }
+}
+
+async function go({ id, limits = {} }) {
+  // Endgame tables generated so far live in IndexedDB
+  await Promise.all(Tablebase.wanted(engine.board).map(sig => Tablebase.loadCached(sig)));
+
+  ai.onInfo = info => self.postMessage({ type: 'info', id, ...info });
+  const move = ai.getBestMove(engine, limits);
+  ai.onInfo = null;
+  self.postMessage({
+    type: 'bestmove', id, move,
+    score: ai.lastScore, depth: ai.completedDepth, nodes: ai.nodes,
+    ttHits: ai.ttHits, ttProbes: ai.ttProbes,
+    lines: ai.lines, tablebase: ai.tablebase
+  });
+}
+
+self.onmessage = e => {
+  const msg = e.data || {};
+  const fail = err => self.postMessage({ type: 'error', id: msg.id, message: err.message });
+  try {
+    switch (msg.type) {
+      case 'position': setPosition(msg);      break;
+      case 'go':       go(msg).catch(fail);   break;
+      case 'hash':     ai.setHashSize(msg.mb); break;
+      case 'weights':  ai.setEvalWeights(msg.weights); break;
+      case 'stop':     ai.stop();             break;
+    }
+  } catch (err) {
+    fail(err);
+  }
+};
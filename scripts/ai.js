@@ -1,163 +1,775 @@
 /**
  * WebChess Pro — AI Engine (ai.js)
- * Minimax with alpha-beta pruning and iterative deepening.
- * Difficulty levels 1–5 map to search depths.
+ * Minimax with alpha-beta pruning, iterative deepening, a
+ * transposition table and a capture/promotion quiescence search.
+ * Endgames of up to four pieces are played from tablebases once built.
+ * MultiPV mode keeps exact scores and principal variations for the best
+ * few root moves, for analysis.
+ * Strength levels 1–5 (about 400–2000 Elo) combine search depth with
+ * deliberate errors, overlooked moves and evaluation noise.
+ * In the browser, search() runs in a Web Worker (ai-worker.js) so deep
+ * searches never block the page; elsewhere it falls back to a timer.
  */
 
 'use strict';
 
+import { ChessEngine, EVAL_TERMS } from './engine.js';
+import { Tablebase } from './tablebase.js';
+
+const MATE_SCORE = 99999;   // mate at the root; mate in n plies = MATE_SCORE - n
+const MATE_BOUND = 90000;   // any |score| above this is a mate score
+
+// Transposition table bound types (0 marks an empty slot)
+const TT_EXACT = 1;
+const TT_LOWER = 2;   // score >= stored (search failed high)
+const TT_UPPER = 3;   // score <= stored (search failed low)
+
+const PROMO_CODES = { Q: 1, R: 2, B: 3, N: 4 };
+
+const MAX_PV = 5;           // most lines a MultiPV search reports
+const TRAP_GAP = 100;       // how much better a trap reply looks, and how much worse it is
+
+/*
+ * Strength levels. Elo figures are rough estimates against human play.
+ *   depth       untimed search depth; maxDepth caps searches on the clock
+ *   errorRate   chance of playing a worse move on purpose...
+ *   errorMargin ...scoring at most this many centipawns below the best
+ *   candidates  root moves considered, chosen at random (0 = all)
+ *   noise       random ± centipawns added to each root move's score
+ */
+const LEVELS = [
+  { level: 1, name: 'Beginner', elo: 400,  depth: 1, maxDepth: 1,  errorRate: 0.35, errorMargin: 900, candidates: 5,  noise: 150 },
+  { level: 2, name: 'Novice',   elo: 800,  depth: 2, maxDepth: 2,  errorRate: 0.2,  errorMargin: 400, candidates: 8,  noise: 80 },
+  { level: 3, name: 'Club',     elo: 1200, depth: 3, maxDepth: 3,  errorRate: 0.1,  errorMargin: 200, candidates: 12, noise: 40 },
+  { level: 4, name: 'Advanced', elo: 1600, depth: 4, maxDepth: 6,  errorRate: 0.04, errorMargin: 80,  candidates: 0,  noise: 15 },
+  { level: 5, name: 'Expert',   elo: 2000, depth: 5, maxDepth: 64, errorRate: 0,    errorMargin: 0,   candidates: 0,  noise: 0 }
+];
+
+/*
+ * Playing styles, independent of the strength level:
+ *   terms     factor per evaluation term (EVAL_TERMS names; 1 when left out)
+ *   contempt  centipawns a draw is worth below level play, from the AI's side
+ *   margin    root moves up to this much below the best may be preferred...
+ *   prefer    ...for checks and closing in on the king ('attack'), captures
+ *             ('material') or replies that look good but lose ('traps')
+ */
+const PERSONALITIES = [
+  { id: 'balanced',    name: 'Balanced',    terms: {}, contempt: 0, margin: 0, prefer: null },
+  { id: 'attacker',    name: 'Attacker',    terms: { material: 0.85, pst: 1.3, mobility: 2, kingShield: 2 },
+    contempt: 40, margin: 60, prefer: 'attack' },
+  { id: 'positional',  name: 'Positional',  terms: { pst: 1.2, doubledPawns: 1.5, isolatedPawns: 1.5, passedPawns: 1.3, bishopPair: 1.5, rookFiles: 1.5 },
+    contempt: 10, margin: 0, prefer: null },
+  { id: 'materialist', name: 'Materialist', terms: { material: 1.15, pst: 0.7, mobility: 0.5, kingShield: 0.5 },
+    contempt: 0, margin: 40, prefer: 'material' },
+  { id: 'trappy',      name: 'Trappy',      terms: {}, contempt: 25, margin: 50, prefer: 'traps' }
+].map(p => ({ ...p, scales: Float64Array.from(EVAL_TERMS, term => p.terms[term] ?? 1) }));
+
+/*
+ * When the AI resigns and how it treats draws, in centipawns from its own
+ * side, judged on its search scores of the game so far (newest last).
+ */
+const GAME_DECISIONS = {
+  resignScore:      -1000,  // resign once its last resignMoves searches are all this bad
+  resignMoves:      4,
+  acceptBelow:      -150,   // accept any draw offer when at least this much worse,
+  acceptFromMove:   20,     // else decline before this move, or when ahead in material,
+  acceptScore:      25,     // and accept scores up to this in an endgame...
+  acceptMiddlegame: 0,      // ...or up to this with more pieces on the board
+  offerFromMove:    30,     // offer a draw in an endgame from this move on...
+  offerScore:       15,     // ...once its last offerMoves searches are all within ±offerScore
+  offerMoves:       6,
+  endgameMaterial:  1660    // knights, bishops, rooks and queens of both sides together
+};
+
+/**
+ * Fixed-size transposition table keyed by the engine's 53-bit Zobrist
+ * hash, one entry per slot, kept in parallel typed arrays.
+ */
+class TranspositionTable {
+  constructor(sizeMB = 16) {
+    const entries = Math.max(1024, Math.floor(sizeMB * 1048576 / TranspositionTable.ENTRY_BYTES));
+    const size    = 2 ** Math.floor(Math.log2(entries));
+    this.mask   = size - 1;
+    this.keys   = new Float64Array(size);
+    this.scores = new Float64Array(size);
+    this.moves  = new Int32Array(size);    // ChessAI.encodeMove()
+    this.depths = new Int8Array(size);
+    this.flags  = new Uint8Array(size);    // TT_EXACT | TT_LOWER | TT_UPPER
+  }
+
+  static get ENTRY_BYTES() { return 22; }
+
+  get size() { return this.mask + 1; }
+
+  /** Slot index holding `key`, or -1 */
+  probe(key) {
+    const i = key & this.mask;
+    return this.flags[i] && this.keys[i] === key ? i : -1;
+  }
+
+  store(key, depth, flag, score, move) {
+    const i = key & this.mask;
+    const same = this.flags[i] && this.keys[i] === key;
+    // Keep a deeper result for the same position; otherwise always replace
+    if (same && depth < this.depths[i]) return;
+    this.keys[i]   = key;
+    this.depths[i] = depth;
+    this.flags[i]  = flag;
+    this.scores[i] = score;
+    this.moves[i]  = move || (same ? this.moves[i] : 0);
+  }
+
+  clear() {
+    this.flags.fill(0);
+  }
+}
+
+/**
+ * What the app needs from a chess engine. ChessAI implements it, and so
+ * does UciEngine (uci-engine.js) for external UCI engines, so analysis,
+ * hints and the PvAI opponent can each use either.
+ *
+ * @typedef {Object} SearchEngine
+ * @property {string} name
+ * @property {number} level          strength level for game moves (1–5, see LEVELS)
+ * @property {{name: string, elo: ?number, depth: number, maxDepth: number}} strength
+ * @property {number} depth          search depth for untimed moves and hints
+ * @property {number} analysisDepth  search depth for the analysis eval bar
+ * @property {boolean} fromBook      whether the last getBestMoveAsync() move came from a book
+ * @property {number} lastScore      white-relative score behind the last searched move
+ * @property {function(number): void} setDifficulty
+ * @property {function(ChessEngine, Object=, Function=): Promise<Object>} search
+ *   limits { depth, nodes, movetime, level, multiPV } → { move, score, depth, nodes, lines, tablebase, stopped? }
+ * @property {function(ChessEngine, Function=, Object=): Promise<?Object>} getBestMoveAsync
+ * @property {function(ChessEngine): Promise<?Object>} getHintAsync
+ * @property {function(): void} stop  cancel the running search
+ */
+
+/** @implements {SearchEngine} */
 class ChessAI {
   constructor() {
-    this.depth   = 3;     // default search depth
-    this.nodes   = 0;
-    this.running = false;
+    this.name      = 'WebChess AI';
+    this.level     = 3;     // strength level for game moves (see LEVELS)
+    this.personality = 'balanced';  // playing style for game moves (see PERSONALITIES)
+    this.depth     = 3;     // default search depth
+    this.analysisDepth = 4; // background search depth for the analysis eval bar
+    this.nodes     = 0;
+    this.ttProbes  = 0;     // transposition-table lookups this search
+    this.ttHits    = 0;     // lookups that found the position
+    this.running   = false;
+    this.lastScore = 0;     // white-relative score of the last search
+    this.completedDepth = 0;
+    this.lines     = [];    // [{ score, pv }] of the last search, best first; pv in UCI form
+    this.onInfo    = null;  // called after each completed depth
+
+    this.checkExtensions = true;  // search one ply deeper when in check at the horizon
+    this.book      = null;  // PolyglotBook, consulted by getBestMoveAsync()
+    this.bookMode  = 'weighted';   // 'weighted' | 'best'
+    this.bookDepth = 10;    // play book moves up to this full-move number
+    this.fromBook  = false; // whether the last getBestMoveAsync() move came from the book
+    this.hashMB    = 16;    // transposition table size
+    this.tt        = null;  // allocated on first search
+    this.evalWeights = null;  // loaded evaluation weights (see setEvalWeights)
+    this.tablebase = null;  // { result, dtm } for the root of the last search, if in a table
+    this.onTablebase = null;  // (signature, status, error) while tables are built in the background
+    this.onError   = null;  // (error) when a worker search fails; it then returns no move
+
+    this._worker   = null;  // lazily created; false when unavailable
+    this._pending  = null;  // { id, resolve, best, onInfo } for the live search
+    this._searchId = 0;
+    this._tbWorker = null;  // tablebase generator, started on the first endgame
+    this._tbRequested = new Set();
+  }
+
+  /** Depth cap for searches bounded by time or nodes */
+  static get MAX_DEPTH() { return 64; }
+
+  /** Most principal variations a search can report */
+  static get MAX_PV() { return MAX_PV; }
+
+  /** Strength levels, weakest first */
+  static get LEVELS() { return LEVELS; }
+
+  /** Playing styles: { id, name, terms, contempt, margin, prefer } */
+  static get PERSONALITIES() { return PERSONALITIES; }
+
+  /** Settings of the current strength level */
+  get strength() { return LEVELS[this.level - 1]; }
+
+  /**
+   * Milliseconds to spend on the next move from the mover's clock.
+   * Spreads the remaining time over the moves still expected, adds most
+   * of the increment, and never stakes more than a quarter of the clock.
+   * @param {number} remainingMs
+   * @param {number} [incrementMs]
+   * @param {number} [moveNumber] current full-move number
+   */
+  static allocateTime(remainingMs, incrementMs = 0, moveNumber = 1) {
+    const movesToGo = Math.max(20, 50 - moveNumber);
+    let ms = remainingMs / movesToGo + incrementMs * 0.8;
+    ms = Math.min(ms, remainingMs / 4);
+    // Worker messaging and rendering; on a short clock no more than a quarter of the move's time
+    const overhead = Math.min(50, ms / 4);
+    return Math.max(10, Math.floor(ms - overhead));
+  }
+
+  /** Whether the AI should resign, given its own-side `scores` (newest last) */
+  static resigns(scores) {
+    const { resignScore, resignMoves } = GAME_DECISIONS;
+    return scores.length >= resignMoves && scores.slice(-resignMoves).every(s => s <= resignScore);
+  }
+
+  /**
+   * Whether the AI playing `color` accepts a draw offer: always when clearly
+   * worse, otherwise only after the opening, when it isn't ahead in
+   * material and its last score is about level (in an endgame) or worse.
+   */
+  static acceptsDraw(engine, color, scores) {
+    const d = GAME_DECISIONS;
+    const score = scores.length ? scores[scores.length - 1]
+      : (color === 'w' ? 1 : -1) * engine.evaluate();
+    if (score <= d.acceptBelow) return true;
+    if (engine.fullMoveNumber < d.acceptFromMove) return false;
+    const { diff } = engine.getMaterialBalance();
+    if ((color === 'w' ? diff : -diff) > 0) return false;
+    return score <= (ChessAI._isEndgame(engine) ? d.acceptScore : d.acceptMiddlegame);
+  }
+
+  /** Whether the AI offers a draw: a dead-equal endgame for several moves */
+  static offersDraw(engine, scores) {
+    const { offerFromMove, offerScore, offerMoves } = GAME_DECISIONS;
+    return engine.fullMoveNumber >= offerFromMove &&
+      ChessAI._isEndgame(engine) &&
+      scores.length >= offerMoves &&
+      scores.slice(-offerMoves).every(s => Math.abs(s) <= offerScore);
+  }
+
+  static _isEndgame(engine) {
+    let material = 0;
+    for (const p of engine.board) {
+      if (p && p[1] !== 'P' && p[1] !== 'K') material += engine.pieceValues[p[1]];
+    }
+    return material <= GAME_DECISIONS.endgameMaterial;
+  }
+
+  /** Share of table lookups that found the position, 0–1 */
+  get ttHitRate() {
+    return this.ttProbes ? this.ttHits / this.ttProbes : 0;
+  }
+
+  /** Resize (and clear) the transposition table, the search worker's included */
+  setHashSize(mb) {
+    this.hashMB = Math.max(1, mb);
+    this.tt = null;
+    if (this._worker) this._worker.postMessage({ type: 'hash', mb: this.hashMB });
+  }
+
+  /**
+   * Load evaluation weights (a tools/tune.js JSON) here and in the search
+   * worker. They are module-wide: every ChessEngine evaluates with them.
+   */
+  setEvalWeights(weights) {
+    ChessEngine.loadEvalWeights(weights);
+    this.evalWeights = weights;
+    this.tt = null;
+    if (this._worker) this._worker.postMessage({ type: 'weights', weights });
+  }
+
+  /** Compact move id for the transposition table (0 = none) */
+  static encodeMove(move) {
+    if (!move) return 0;
+    const promo = move.promoteTo ? PROMO_CODES[move.promoteTo[1]] : 0;
+    return (move.from + 1) | (move.to << 7) | (promo << 13);
   }
 
+  /** Set the playing style by id (unknown ids play balanced) */
+  setPersonality(id) {
+    this.personality = PERSONALITIES.some(p => p.id === id) ? id : 'balanced';
+  }
+
+  /** Set the strength level (1–5) and its search depth */
   setDifficulty(level) {
-    // Level 1–5 → depth 1–5
-    this.depth = Math.max(1, Math.min(5, parseInt(level)));
+    this.level = Math.max(1, Math.min(LEVELS.length, parseInt(level) || 3));
+    this.depth = this.strength.depth;
   }
 
   /**
-   * Get the best move for the given engine state.
+   * Get the best move for the given engine state by iterative deepening.
+   * Limits: { depth, nodes, movetime (ms), level, multiPV }; a depth
+   * interrupted by the node or time limit is discarded, so the move comes
+   * from the last completed depth. With a `level` the move is picked the
+   * way a player of that strength would; without one the search plays its
+   * best. A `personality` (PERSONALITIES id) colours the evaluation, the
+   * value of a draw and the choice between near-equal moves. `multiPV`
+   * (1–5) is how many lines end up in `lines`.
    * Returns a move object or null.
    */
-  getBestMove(engine) {
+  getBestMove(engine, limits = {}) {
     if (engine.gameOver) return null;
     this.nodes = 0;
+    this.ttProbes = 0;
+    this.ttHits   = 0;
     this.running = true;
+    this.completedDepth = 0;
+    this.tablebase = null;
+    this.lines     = [];
+    this._multiPV  = Math.max(1, Math.min(MAX_PV, limits.multiPV || 1));
 
     const color = engine.turn;
     const isMaximizing = color === 'w';
-    const maxDepth = this.depth;
-
-    let bestMove = null;
-    let bestScore = isMaximizing ? -Infinity : Infinity;
+    const maxDepth = Math.min(limits.depth || this.depth, ChessAI.MAX_DEPTH);
+    const startTime = Date.now();
+    this._deadline  = limits.movetime ? startTime + limits.movetime : Infinity;
+    this._nodeLimit = limits.nodes || Infinity;
+    this._aborted   = false;
 
     // Get all legal moves
     const moves = engine.getAllLegalMoves();
-    if (moves.length === 0) return null;
+    if (moves.length === 0) {
+      const mated = engine.isInCheck(engine.board, color);
+      this.lastScore = mated ? (isMaximizing ? -MATE_SCORE : MATE_SCORE) : 0;
+      return null;
+    }
+
+    const strength = limits.level ? LEVELS[limits.level - 1] : null;
+    const flawless = !strength || (!strength.errorRate && !strength.noise);
+    const style    = PERSONALITIES.find(p => p.id === limits.personality && p.id !== 'balanced') || null;
+    this._termScales = style ? style.scales : null;
+    this._drawScore  = style ? (isMaximizing ? -style.contempt : style.contempt) : 0;
+
+    // A style scores positions its own way, so it can't share table entries
+    const ttTag = style ? style.id + color : '';
+    if (this._ttTag !== ttTag) this.tt = null;
+    this._ttTag = ttTag;
+    if (!this.tt) this.tt = new TranspositionTable(this.hashMB);
+
+    // Endgame tables: exact result, no search needed (weaker levels play on by eye)
+    this._tbProbing = flawless && engine.board.filter(Boolean).length <= Tablebase.MAX_PIECES + 1;
+    const tbBest = this._tbProbing && this._tablebaseMove(engine, moves);
+    if (tbBest) {
+      this.running   = false;
+      this.lastScore = tbBest.score;
+      this.lines     = [{ score: tbBest.score, pv: [engine.moveToUci(tbBest.move)] }];
+      return tbBest.move;
+    }
 
     // Shallow shuffle for variety at equal scores
     this._shuffleArray(moves);
 
-    // Order moves: captures first
-    moves.sort((a, b) => {
-      const ac = engine.board[a.to] ? 1 : 0;
-      const bc = engine.board[b.to] ? 1 : 0;
-      return bc - ac;
-    });
+    // Order moves: captures and promotions first (MVV-LVA)
+    moves.sort((a, b) => this._moveOrderScore(engine, b) - this._moveOrderScore(engine, a));
 
-    for (const move of moves) {
-      if (!this.running) break;
+    // Weaker levels see the captures first and only some of the quiet moves
+    if (strength?.candidates && moves.length > strength.candidates) {
+      moves.length = strength.candidates;
+    }
+    // Deliberate errors, noise and styles need exact scores for every move that could be picked
+    this._rootSlack = Math.max(flawless ? 0 : strength.errorMargin + 2 * strength.noise, style ? style.margin : 0);
+
+    let bestMove  = moves[0];
+    let bestScore = 0;
+    let rootScores = null;
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      // Depth 1 always completes so there is a move to play
+      this._canAbort = depth > 1;
+      this._plyLimit = depth * 2;   // cap on check extensions
+      const result = this._searchRoot(engine, moves, depth, isMaximizing);
+      if (!result) break;
 
-      // Save state
-      const savedState = this._saveState(engine);
+      bestMove  = result.move;
+      bestScore = result.score;
+      rootScores = result.scores;
+      this.completedDepth = depth;
+      this.lines = this._collectLines(engine, result, isMaximizing, depth);
+      if (this.onInfo) {
+        this.onInfo({
+          move: bestMove, score: bestScore, depth, nodes: this.nodes, lines: this.lines,
+          ttHits: this.ttHits, ttProbes: this.ttProbes
+        });
+      }
+
+      // Search the previous best first at the next depth (all lines, best first, for MultiPV)
+      if (this._multiPV > 1) {
+        const sign = isMaximizing ? 1 : -1;
+        moves.sort((a, b) => sign * (result.scores.get(b) - result.scores.get(a)));
+      } else {
+        moves.splice(moves.indexOf(bestMove), 1);
+        moves.unshift(bestMove);
+      }
 
+      if (moves.length === 1) break; // forced
+      // A mate found won't change; other lines may still deepen
+      if (this._multiPV === 1 && Math.abs(bestScore) > MATE_BOUND) break;
+      // The next depth costs several times this one; don't start what can't finish
+      if (limits.movetime && Date.now() - startTime > limits.movetime / 2) break;
+    }
+
+    if ((!flawless || style?.margin) && rootScores) {
+      ({ move: bestMove, score: bestScore } =
+        this._pickMove(engine, rootScores, isMaximizing, flawless ? null : strength, style));
+    }
+
+    this.running   = false;
+    this.lastScore = bestScore;
+    return bestMove;
+  }
+
+  /**
+   * Choose as a player of the given strength and style would: judge the
+   * moves with some noise, favour near-best moves that suit the style and,
+   * now and then, play one that is clearly not the best.
+   * @param {Map} scores root move → white-relative score
+   * @param {?Object} strength LEVELS entry, null to play the best
+   * @param {?Object} style PERSONALITIES entry
+   */
+  _pickMove(engine, scores, isMaximizing, strength, style) {
+    const sign   = isMaximizing ? 1 : -1;
+    const top    = Math.max(...[...scores.values()].map(score => sign * score));
+    const ranked = [...scores].map(([move, score]) => {
+      const own   = sign * score;
+      const bonus = style?.margin && top - own <= style.margin ? this._styleBonus(engine, move, own, style) : 0;
+      const noise = strength ? (Math.random() * 2 - 1) * strength.noise : 0;
+      return { move, score, seen: own + bonus + noise };
+    }).sort((a, b) => b.seen - a.seen);
+    const best = ranked[0];
+    if (strength && Math.random() < strength.errorRate) {
+      const worse = ranked.filter(r => r !== best && best.seen - r.seen <= strength.errorMargin);
+      if (worse.length) return worse[Math.floor(Math.random() * worse.length)];
+    }
+    return best;
+  }
+
+  /**
+   * Centipawns a style adds to a near-best root move scoring `own` (from
+   * the mover's side): for checks and closing in on the enemy king, for
+   * captured material, or for the traps it sets.
+   */
+  _styleBonus(engine, move, own, style) {
+    if (style.prefer === 'material') {
+      const captured = this._capturedPiece(engine, move);
+      return captured ? engine.pieceValues[captured[1]] / 10 : 0;
+    }
+    if (style.prefer === 'attack') {
+      const king = engine.findKing(engine.board, ChessEngine.opp(engine.turn));
+      const distance = sq => Math.max(Math.abs((sq >> 3) - (king >> 3)), Math.abs((sq & 7) - (king & 7)));
+      engine.applyMoveFull(move);
+      const check = engine.isInCheck(engine.board, engine.turn);
+      engine.unmakeMove();
+      return (check ? 30 : 0) + 8 * Math.max(0, distance(move.from) - distance(move.to));
+    }
+    if (style.prefer === 'traps') return this._trapBonus(engine, move, own);
+    return 0;
+  }
+
+  /**
+   * Count the opponent's replies to `move` that look good for them at a
+   * glance (static eval) yet lose to a short search, and turn that into a
+   * bonus: 30 for one trap, 10 more for each further one, at most 60.
+   */
+  _trapBonus(engine, move, own) {
+    const sign = engine.turn === 'w' ? 1 : -1;
+    let traps = 0;
+    this._canAbort = false;   // the search is over; these probes always finish
+    this._aborted  = false;
+    engine.applyMoveFull(move);
+    if (!engine.gameOver) {
+      for (const reply of engine.getAllLegalMoves()) {
+        engine.applyMoveFull(reply);
+        const looks = sign * engine.evaluate(this._termScales);
+        const real  = sign * this._minimax(engine, 1, -Infinity, Infinity, engine.turn === 'w', 2);
+        engine.unmakeMove();
+        if (looks <= own - TRAP_GAP && real >= own + TRAP_GAP) traps++;
+      }
+    }
+    engine.unmakeMove();
+    return traps ? Math.min(60, 20 + 10 * traps) : 0;
+  }
+
+  /** One root iteration; null if the search was interrupted. */
+  _searchRoot(engine, moves, depth, isMaximizing) {
+    let alpha = -Infinity, beta = Infinity;
+    let bestMove  = null;
+    let bestScore = isMaximizing ? -Infinity : Infinity;
+    const multiPV = this._multiPV;
+    const scores  = this._rootSlack || multiPV > 1 ? new Map() : null;
+
+    for (const move of moves) {
       // Apply move directly (fast path, bypass legality check)
       engine.applyMoveFull(move);
 
-      const score = this._minimax(engine, maxDepth - 1, -Infinity, Infinity, !isMaximizing);
+      const score = this._minimax(engine, depth - 1, alpha, beta, !isMaximizing, 1);
 
-      // Restore state
-      this._restoreState(engine, savedState);
+      // Take it back from the engine's undo record
+      engine.unmakeMove();
+      if (this._aborted) return null;
 
       if (isMaximizing ? score > bestScore : score < bestScore) {
         bestScore = score;
         bestMove  = move;
       }
+      // Widen the window by the slack so near-best moves keep exact scores,
+      // and in MultiPV mode down to the weakest line still reported
+      if (scores) scores.set(move, score);
+      const bound = multiPV > 1 ? this._nthBest(scores, multiPV, isMaximizing) : bestScore;
+      const slack = this._rootSlack;
+      if (isMaximizing) alpha = Math.max(alpha, bound - slack);
+      else              beta  = Math.min(beta, bound + slack);
     }
+    return { move: bestMove, score: bestScore, scores };
+  }
 
-    return bestMove;
+  /** The n-th best of the root scores so far (no bound until there are n) */
+  _nthBest(scores, n, isMaximizing) {
+    if (scores.size < n) return isMaximizing ? -Infinity : Infinity;
+    const sign = isMaximizing ? 1 : -1;
+    return [...scores.values()].sort((a, b) => sign * (b - a))[n - 1];
+  }
+
+  /** The best `_multiPV` root moves of an iteration as { score, pv } lines */
+  _collectLines(engine, result, isMaximizing, depth) {
+    if (this._multiPV === 1) {
+      return [{ score: result.score, pv: this._principalVariation(engine, result.move, depth) }];
+    }
+    const sign = isMaximizing ? 1 : -1;
+    return [...result.scores]
+      .sort((a, b) => sign * (b[1] - a[1]))
+      .slice(0, this._multiPV)
+      .map(([move, score]) => ({ score, pv: this._principalVariation(engine, move, depth) }));
   }
 
-  _minimax(engine, depth, alpha, beta, isMaximizing) {
+  /**
+   * UCI moves of the line starting with `move`, continued with the best
+   * moves stored in the transposition table (at most `length` moves).
+   */
+  _principalVariation(engine, move, length) {
+    const pv   = [];
+    const seen = new Set([engine.hash]);
+    while (move && pv.length < length) {
+      pv.push(engine.moveToUci(move));
+      engine.applyMoveFull(move);
+      if (seen.has(engine.hash)) break;   // repetition: the line would cycle
+      seen.add(engine.hash);
+      const slot = this.tt.probe(engine.hash);
+      const code = slot >= 0 ? this.tt.moves[slot] : 0;
+      move = code ? engine.getAllLegalMoves().find(m => ChessAI.encodeMove(m) === code) : null;
+    }
+    for (let i = 0; i < pv.length; i++) engine.unmakeMove();
+    return pv;
+  }
+
+  /** Flag the search as interrupted once a node, time or stop limit is hit */
+  _checkLimits() {
+    if (!this._canAbort) return;
+    if (!this.running || this.nodes >= this._nodeLimit ||
+        ((this.nodes & 255) === 0 && Date.now() >= this._deadline)) {
+      this._aborted = true;
+    }
+  }
+
+  _minimax(engine, depth, alpha, beta, isMaximizing, ply) {
     this.nodes++;
+    this._checkLimits();
+    if (this._aborted) return 0;
 
-    // Terminal node
-    if (depth === 0) return engine.evaluate();
+    // Draws on the path: applyMoveFull never ends the game, so check here
+    // (a repeat inside the search counts, the line can be forced again).
+    // Material only runs out on a capture, which resets the clock.
+    if (engine.repetitionCount() >= 1 || engine.halfMoveClock >= 100 ||
+        (engine.halfMoveClock === 0 && engine._isInsufficientMaterial())) {
+      return this._drawScore;
+    }
 
-    // Check game over on this position
-    if (engine.gameOver) return engine.evaluate();
+    // Horizon: resolve captures first, unless in check and extending
+    if (depth === 0) {
+      if (this.checkExtensions && ply < this._plyLimit &&
+          engine.isInCheck(engine.board, engine.turn)) {
+        depth = 1;
+      } else {
+        return this._quiesce(engine, alpha, beta, isMaximizing, ply);
+      }
+    }
+
+    // Check game over on this position (draws count the style's contempt)
+    if (engine.gameOver) return engine.gameResult?.winner ? engine.evaluate() : this._drawScore;
+
+    if (this._tbProbing) {
+      const tbScore = this._tablebaseScore(engine, ply);
+      if (tbScore !== null) return tbScore;
+    }
+
+    // Transposition table: cut off on a deep enough bound, else try its move first
+    const key = engine.hash;
+    const alphaOrig = alpha, betaOrig = beta;
+    let ttMove = 0;
+    this.ttProbes++;
+    const slot = this.tt.probe(key);
+    if (slot >= 0) {
+      this.ttHits++;
+      ttMove = this.tt.moves[slot];
+      if (this.tt.depths[slot] >= depth) {
+        const score = this._scoreFromTT(this.tt.scores[slot], ply);
+        const flag  = this.tt.flags[slot];
+        if (flag === TT_EXACT) return score;
+        if (flag === TT_LOWER) alpha = Math.max(alpha, score);
+        else                   beta  = Math.min(beta, score);
+        if (beta <= alpha) return score;
+      }
+    }
 
     const moves = engine.getAllLegalMoves();
     if (moves.length === 0) {
-      // Checkmate or stalemate
+      // Checkmate (sooner is better for the winner) or stalemate
       if (engine.isInCheck(engine.board, engine.turn)) {
-        return isMaximizing ? -99999 - depth : 99999 + depth;
+        return isMaximizing ? -MATE_SCORE + ply : MATE_SCORE - ply;
       }
-      return 0; // stalemate
+      return this._drawScore; // stalemate
     }
 
-    // Move ordering: captures and promotions first
+    // Move ordering: table move, then captures and promotions
     moves.sort((a, b) => {
-      const aScore = this._moveOrderScore(engine, a);
-      const bScore = this._moveOrderScore(engine, b);
+      const aScore = this._moveOrderScore(engine, a, ttMove);
+      const bScore = this._moveOrderScore(engine, b, ttMove);
       return bScore - aScore;
     });
 
-    if (isMaximizing) {
-      let best = -Infinity;
-      for (const move of moves) {
-        const saved = this._saveState(engine);
-        engine.applyMoveFull(move);
-        const score = this._minimax(engine, depth - 1, alpha, beta, false);
-        this._restoreState(engine, saved);
-        best  = Math.max(best, score);
-        alpha = Math.max(alpha, best);
-        if (beta <= alpha) break; // Alpha-beta cutoff
+    let best = isMaximizing ? -Infinity : Infinity;
+    let bestMove = null;
+    for (const move of moves) {
+      engine.applyMoveFull(move);
+      const score = this._minimax(engine, depth - 1, alpha, beta, !isMaximizing, ply + 1);
+      engine.unmakeMove();
+      if (isMaximizing ? score > best : score < best) {
+        best = score;
+        bestMove = move;
       }
-      return best;
+      if (isMaximizing) alpha = Math.max(alpha, best);
+      else              beta  = Math.min(beta, best);
+      if (beta <= alpha) break; // Alpha-beta cutoff
+    }
+    if (this._aborted) return 0;
+
+    const flag = best <= alphaOrig ? TT_UPPER : best >= betaOrig ? TT_LOWER : TT_EXACT;
+    this.tt.store(key, depth, flag, this._scoreToTT(best, ply), ChessAI.encodeMove(bestMove));
+    return best;
+  }
+
+  /**
+   * Quiescence search: only captures and promotions, so the static eval is
+   * never taken in the middle of an exchange. The side to move may also
+   * "stand pat" on the current eval instead of capturing.
+   */
+  _quiesce(engine, alpha, beta, isMaximizing, ply) {
+    this.nodes++;
+    this._checkLimits();
+    if (this._aborted) return 0;
+
+    if (this._tbProbing) {
+      const tbScore = this._tablebaseScore(engine, ply);
+      if (tbScore !== null) return tbScore;
+    }
+
+    const standPat = engine.evaluate(this._termScales);
+    if (isMaximizing) {
+      if (standPat >= beta) return standPat;
+      alpha = Math.max(alpha, standPat);
     } else {
-      let best = Infinity;
-      for (const move of moves) {
-        const saved = this._saveState(engine);
-        engine.applyMoveFull(move);
-        const score = this._minimax(engine, depth - 1, alpha, beta, true);
-        this._restoreState(engine, saved);
-        best = Math.min(best, score);
-        beta = Math.min(beta, best);
-        if (beta <= alpha) break;
+      if (standPat <= alpha) return standPat;
+      beta = Math.min(beta, standPat);
+    }
+    if (ply >= ChessAI.MAX_DEPTH) return standPat;
+
+    const color = engine.turn;
+    const moves = engine._getAllPseudoMoves(
+      engine.board, color, engine.castlingRights, engine.enPassantTarget
+    ).filter(m => (this._capturedPiece(engine, m) || m.promoteTo) && engine._isLegal(m, color));
+    moves.sort((a, b) => this._moveOrderScore(engine, b) - this._moveOrderScore(engine, a));
+
+    let best = standPat;
+    for (const move of moves) {
+      engine.applyMoveFull(move);
+      const score = this._quiesce(engine, alpha, beta, !isMaximizing, ply + 1);
+      engine.unmakeMove();
+      if (isMaximizing ? score > best : score < best) best = score;
+      if (isMaximizing) alpha = Math.max(alpha, best);
+      else              beta  = Math.min(beta, best);
+      if (beta <= alpha) break;
+    }
+    return best;
+  }
+
+  /**
+   * Root move from the tablebases: the fastest win, else the best drawing
+   * move by static eval, else the longest loss. Null when the position or
+   * any reply is not covered.
+   */
+  _tablebaseMove(engine, moves) {
+    const root = Tablebase.probe(engine);
+    if (!root) return null;
+    const sign = engine.turn === 'w' ? 1 : -1;
+    let best = null, bestRank = -Infinity;
+    for (const move of moves) {
+      engine.applyMoveFull(move);
+      const reply = Tablebase.probe(engine);   // from the opponent's side
+      const staticEval = sign * engine.evaluate();
+      engine.unmakeMove();
+      if (!reply) return null;
+
+      const plies = reply.dtm + 1;
+      let rank, score;
+      if (reply.result === 'loss')      { rank = 2e6 - plies;      score = MATE_SCORE - plies; }
+      else if (reply.result === 'draw') { rank = 1e6 + staticEval; score = 0; }
+      else                              { rank = plies;            score = -(MATE_SCORE - plies); }
+      if (rank > bestRank) {
+        bestRank = rank;
+        best = { move, score: sign * score };
       }
-      return best;
     }
+    this.tablebase = root;
+    return best;
+  }
+
+  /** White-relative tablebase score `ply` plies from the root, or null */
+  _tablebaseScore(engine, ply) {
+    const tb = Tablebase.probe(engine);
+    if (!tb) return null;
+    const mate  = MATE_SCORE - (ply + tb.dtm);
+    const score = tb.result === 'win' ? mate : tb.result === 'loss' ? -mate : 0;
+    return engine.turn === 'w' ? score : -score;
   }
 
-  _moveOrderScore(engine, move) {
+  /** Mate scores are stored relative to the node, not the root */
+  _scoreToTT(score, ply) {
+    if (score > MATE_BOUND)  return score + ply;
+    if (score < -MATE_BOUND) return score - ply;
+    return score;
+  }
+
+  _scoreFromTT(score, ply) {
+    if (score > MATE_BOUND)  return score - ply;
+    if (score < -MATE_BOUND) return score + ply;
+    return score;
+  }
+
+  _moveOrderScore(engine, move, ttMove = 0) {
+    if (ttMove && ChessAI.encodeMove(move) === ttMove) return 1e6;
     let score = 0;
-    const captured = engine.board[move.to];
+    const values = engine.pieceValues;
+    const captured = this._capturedPiece(engine, move);
     if (captured) {
-      const capVal = PIECE_VALUES[captured[1]] || 0;
-      const attVal = PIECE_VALUES[engine.board[move.from][1]] || 0;
+      const capVal = values[captured[1]] || 0;
+      const attVal = values[engine.board[move.from][1]] || 0;
       score += 10 * capVal - attVal; // MVV-LVA
     }
-    if (move.promoteTo) score += PIECE_VALUES[move.promoteTo[1]] || 0;
-    if (move.type === 'enPassant') score += 100;
+    if (move.promoteTo) score += values[move.promoteTo[1]] || 0;
     return score;
   }
 
-  _saveState(engine) {
-    return {
-      board: engine.board.slice(),
-      turn: engine.turn,
-      castlingRights: { ...engine.castlingRights },
-      enPassantTarget: engine.enPassantTarget,
-      halfMoveClock: engine.halfMoveClock,
-      fullMoveNumber: engine.fullMoveNumber,
-      gameOver: engine.gameOver,
-      gameResult: engine.gameResult
-    };
-  }
-
-  _restoreState(engine, state) {
-    engine.board           = state.board;
-    engine.turn            = state.turn;
-    engine.castlingRights  = state.castlingRights;
-    engine.enPassantTarget = state.enPassantTarget;
-    engine.halfMoveClock   = state.halfMoveClock;
-    engine.fullMoveNumber  = state.fullMoveNumber;
-    engine.gameOver        = state.gameOver;
-    engine.gameResult      = state.gameResult;
+  /** Piece taken by `move`, or null (a Chess960 castle lands on its own rook) */
+  _capturedPiece(engine, move) {
+    if (move.type === 'castleKing' || move.type === 'castleQueen') return null;
+    if (move.type === 'enPassant') return engine.turn === 'w' ? 'bP' : 'wP';
+    return engine.board[move.to];
   }
 
   _shuffleArray(arr) {
@@ -167,24 +779,88 @@ class ChessAI {
     }
   }
 
-  stop() { this.running = false; }
+  /**
+   * Cancel the running search. A pending search() resolves at once with
+   * the best move reported so far and `stopped: true`.
+   */
+  stop() {
+    this.running = false;
+    const pending = this._pending;
+    if (!pending) return;
+    if (this._worker) {
+      // The worker is busy inside a synchronous search and would only read
+      // a 'stop' message afterwards, so replace it instead.
+      this._worker.postMessage({ type: 'stop' });
+      this._worker.terminate();
+      this._worker = null;
+    }
+    clearTimeout(pending.timer);
+    this._finish({ ...(pending.best || { move: null }), stopped: true });
+  }
 
   /**
-   * Get best move asynchronously with a timeout fallback,
-   * so the UI doesn't freeze on deep searches.
+   * Search the engine's current position without blocking the caller.
+   * @param {ChessEngine} engine
+   * @param {{depth?: number, nodes?: number, movetime?: number, level?: number, personality?: string, multiPV?: number}} [limits]
+   * @param {Function} [onInfo] called after each completed depth
+   * @returns {Promise<{move, score, depth, nodes, lines, tablebase, ttHits, ttProbes, stopped?: boolean}>}
+   *   lines: [{ score, pv }] best first, pv in UCI form
+   *   tablebase: { result, dtm } for the side to move when the position is in a table
    */
-  async getBestMoveAsync(engine, onDone) {
-    // Run in the next animation frame to avoid blocking UI
-    const self = this;
+  search(engine, limits = {}, onInfo = null) {
+    this.stop();
+    const id = ++this._searchId;
+    limits = { ...limits, depth: limits.depth || this.depth };
+
     return new Promise(resolve => {
-      setTimeout(() => {
-        const move = self.getBestMove(engine);
-        if (onDone) onDone(move);
-        resolve(move);
-      }, 0);
+      this._pending = { id, resolve, best: null, onInfo, engine, limits };
+      this.running = true;
+
+      const worker = this._getWorker();
+      if (worker) {
+        this._requestTablebases(engine);
+        worker.postMessage({
+          type: 'position',
+          startFEN: engine.startFEN,
+          variant: engine.variant,
+          moves: engine.uciLine()
+        });
+        worker.postMessage({ type: 'go', id, limits });
+      } else {
+        this._pending.timer = setTimeout(() => this._searchInline(engine, limits), 0);
+      }
     });
   }
 
+  /**
+   * Move from the opening book for a standard-chess position within the
+   * book depth, or null.
+   */
+  probeBook(engine) {
+    if (!this.book || engine.variant === 'chess960') return null;
+    if (engine.fullMoveNumber > this.bookDepth) return null;
+    return this.book.pickMove(engine, this.bookMode);
+  }
+
+  /**
+   * Get best move asynchronously (resolves null if stopped),
+   * so the UI doesn't freeze on deep searches. Book moves are played
+   * without searching; `fromBook` tells which it was. The move is chosen
+   * at the current strength level and in the current playing style.
+   */
+  async getBestMoveAsync(engine, onDone, limits = { depth: this.depth }) {
+    const bookMove = this.probeBook(engine);
+    this.fromBook = !!bookMove;
+    if (bookMove) {
+      if (onDone) onDone(bookMove);
+      return bookMove;
+    }
+    const result = await this.search(engine, { ...limits, level: this.level, personality: this.personality });
+    const move = result.stopped ? null : result.move;
+    if (onDone) onDone(move);
+    return move;
+  }
+
   /**
    * Simple best-move hint for human player (shallower search)
    */
@@ -195,6 +871,112 @@ class ChessAI {
     this.depth = savedDepth;
     return move;
   }
+
+  /** Non-blocking getHint(); resolves null if stopped. */
+  async getHintAsync(engine) {
+    const result = await this.search(engine, { depth: Math.min(3, this.depth) });
+    return result.stopped ? null : result.move;
+  }
+
+  _getWorker() {
+    if (this._worker === false) return null;
+    if (this._worker) return this._worker;
+    if (typeof Worker === 'undefined') { this._worker = false; return null; }
+    try {
+      const worker = new Worker(new URL('./ai-worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = e => this._onWorkerMessage(worker, e.data);
+      worker.onerror   = e => this._onWorkerError(worker, e);
+      worker.postMessage({ type: 'hash', mb: this.hashMB });
+      if (this.evalWeights) worker.postMessage({ type: 'weights', weights: this.evalWeights });
+      this._worker = worker;
+    } catch {
+      this._worker = false;
+    }
+    return this._worker || null;
+  }
+
+  /**
+   * Have the tablebase worker load or build the tables this position can
+   * reach; the search worker reads them from IndexedDB once ready.
+   */
+  _requestTablebases(engine) {
+    const missing = Tablebase.wanted(engine.board).filter(sig => !this._tbRequested.has(sig));
+    if (!missing.length) return;
+    if (!this._tbWorker) {
+      try {
+        this._tbWorker = new Worker(new URL('./tablebase-worker.js', import.meta.url), { type: 'module' });
+      } catch {
+        return;
+      }
+      this._tbWorker.onmessage = e => {
+        const msg = e.data || {};
+        if (!this.onTablebase) return;
+        if (msg.type === 'error') this.onTablebase(msg.signature, 'error', msg.message);
+        else this.onTablebase(msg.signature, msg.status);
+      };
+    }
+    missing.forEach(sig => this._tbRequested.add(sig));
+    this._tbWorker.postMessage({ type: 'generate', signatures: missing });
+  }
+
+  _onWorkerMessage(worker, msg) {
+    const pending = this._pending;
+    if (worker !== this._worker || !pending || msg.id !== pending.id) return;
+    if (msg.type === 'info') {
+      pending.best = {
+        move: msg.move, score: msg.score, depth: msg.depth, nodes: msg.nodes, lines: msg.lines,
+        ttHits: msg.ttHits, ttProbes: msg.ttProbes
+      };
+      if (pending.onInfo) pending.onInfo(pending.best);
+    } else if (msg.type === 'bestmove') {
+      this.tablebase = msg.tablebase || null;
+      this._finish({
+        move: msg.move, score: msg.score, depth: msg.depth, nodes: msg.nodes,
+        lines: msg.lines, tablebase: this.tablebase, ttHits: msg.ttHits, ttProbes: msg.ttProbes
+      });
+    } else if (msg.type === 'error') {
+      this._finish({ move: null, score: 0, depth: 0, nodes: 0, lines: [] });
+      if (this.onError) this.onError(new Error(msg.message));
+    }
+  }
+
+  /** Worker failed to load (e.g. no module-worker support): search inline from now on. */
+  _onWorkerError(worker, e) {
+    if (worker !== this._worker) return;
+    e.preventDefault?.();
+    worker.terminate();
+    this._worker = false;
+    const pending = this._pending;
+    if (pending) {
+      pending.timer = setTimeout(() => this._searchInline(pending.engine, pending.limits), 0);
+    }
+  }
+
+  /** Fallback when no worker is available: search on this thread. */
+  _searchInline(engine, limits) {
+    const pending = this._pending;
+    if (!pending) return;
+    const move = this.getBestMove(engine, limits);
+    if (this._pending === pending) {
+      this._finish({
+        move, score: this.lastScore, depth: this.completedDepth, nodes: this.nodes,
+        lines: this.lines, tablebase: this.tablebase, ttHits: this.ttHits, ttProbes: this.ttProbes
+      });
+    }
+  }
+
+  _finish(result) {
+    const pending = this._pending;
+    this._pending = null;
+    this.running  = false;
+    if (!pending) return;
+    if (result.nodes) this.nodes = result.nodes;
+    if (result.ttProbes !== undefined) { this.ttProbes = result.ttProbes; this.ttHits = result.ttHits; }
+    if (result.score !== undefined) this.lastScore = result.score;
+    pending.resolve(result);
+  }
 }
 
-window.ChessAI = ChessAI;
+if (typeof window !== 'undefined') window.ChessAI = ChessAI;
+
+export { ChessAI, TranspositionTable, MATE_SCORE, MATE_BOUND };
@@ -1,6 +1,8 @@
 /**
  * WebChess Pro — Analysis Module (analysis.js)
- * Move replay, position navigation, and evaluation display.
+ * Move replay, position navigation through the game tree (variations),
+ * evaluation, engine lines (MultiPV), the whole-game eval graph and
+ * full-game review.
  */
 
 'use strict';
@@ -9,48 +11,138 @@ class AnalysisManager {
   constructor(engine, ai) {
     this.engine      = engine;
     this.ai          = ai;
-    this.viewedMove  = -1;   // index in moveHistory being viewed (-1 = start)
+    this.viewedMove  = -1;   // ply - 1 of the viewed position (-1 = start)
+    this.tree        = null; // GameTree: the game as mainline, plus variations
+    this.node        = null; // viewed tree node
     this.isActive    = false;
     this.autoplayId  = null;
+    this.depth       = null; // eval-bar search depth (null = the engine's analysisDepth)
+    this.multiPV     = 3;    // engine lines shown under the eval bar (1–5)
+    this.reviewDepth = null; // game-review search depth (null = the engine's analysisDepth)
+    this.graphDepth  = 2;    // eval-graph search depth (a quick pass; a review replaces it)
+    this.curve       = null; // { key, depth, scores }: white-relative score of every position
+    this.building    = false;
+    this._pending    = null; // analyze() callback held back while the graph is scored
+    this._builds     = 0;
   }
 
-  activate() { this.isActive = true; this.viewedMove = this.engine.moveHistory.length - 1; }
-  deactivate() { this.isActive = false; this.stopAutoplay(); }
+  /** Start analysing the game; variations from an earlier session are kept if it has not changed */
+  activate() {
+    this.isActive = true;
+    if (!this.gameTree(this.engine)) this.tree = GameTree.fromEngine(this.engine);
+    this.goToMove(this.engine.moveHistory.length - 1, this.engine);
+  }
+  deactivate() { this.isActive = false; this.stopAutoplay(); this.ai?.stop(); }
 
-  /** Navigate to a specific move index (-1 = start) */
+  /** Navigate to a specific mainline move index (-1 = start) */
   goToMove(index, engine) {
-    const total = engine.moveHistory.length;
-    this.viewedMove = Math.max(-1, Math.min(index, total - 1));
+    const line = this.tree.mainline();
+    const i    = Math.max(-1, Math.min(index, line.length - 1));
+    return this.goToNode(i < 0 ? this.tree.root : line[i]);
+  }
+
+  /** Navigate to any node of the tree */
+  goToNode(node) {
+    this.node       = node;
+    this.viewedMove = this.tree.ply(node) - 1;
     return this.viewedMove;
   }
 
-  goToStart(engine) { return this.goToMove(-1, engine); }
-  goToEnd(engine)   { return this.goToMove(engine.moveHistory.length - 1, engine); }
-  prevMove(engine)  { return this.goToMove(this.viewedMove - 1, engine); }
-  nextMove(engine)  { return this.goToMove(this.viewedMove + 1, engine); }
+  goToStart(engine) { return this.goToNode(this.tree.root); }
+  goToEnd(engine)   { return this.goToNode(this.tree.lineEnd(this.node)); }
+  prevMove(engine)  { return this.goToNode(this.node.parent || this.node); }
+  nextMove(engine)  { return this.goToNode(this.node.children[0] || this.node); }
 
   /** Get board state for current analysis position */
   getBoardAtCurrentMove(engine) {
-    if (this.viewedMove < 0) return engine._startBoard();
-    // Replay from start
-    const tempEngine = new ChessEngine();
-    for (let i = 0; i <= this.viewedMove; i++) {
-      const m = engine.moveHistory[i];
-      // Try to apply
-      const legal = tempEngine._getAllPseudoMoves(
-        tempEngine.board, tempEngine.turn,
-        tempEngine.castlingRights, tempEngine.enPassantTarget
-      );
-      const found = legal.find(lm =>
-        lm.from === m.from && lm.to === m.to &&
-        (!m.promoteTo || lm.promoteTo === m.promoteTo)
-      );
-      if (found) tempEngine.applyMoveFull(found);
+    // Replay from the game's start position (may be a FEN or Chess960 setup)
+    this._tempEngine = this.tree.engineAt(this.node);
+    return this._tempEngine.board;
+  }
+
+  /* =====================================================
+     VARIATIONS
+     ===================================================== */
+
+  /**
+   * Play a move ({ from, to, promoteTo }) from the viewed position and view
+   * the result: the continuation if the line ends here, else a variation.
+   * A move that extends the mainline is also played in `engine`, the game.
+   * @returns {?object} the new node, or null if the move is illegal
+   */
+  playMove(move, engine) {
+    const node = this.tree.addMove(this.node, move);
+    if (!node) return null;
+    this.goToNode(node);
+    this.syncMainline(engine);
+    return node;
+  }
+
+  /**
+   * Make the viewed line the mainline (and the game). The old game's moves
+   * are replaced, so its result goes too, including an imported Result tag.
+   */
+  promoteVariation(engine) {
+    this.tree.promote(this.node);
+    if (this.syncMainline(engine)) {
+      delete this.tree.tags.Result;
+      delete this.tree.tags.Termination;
     }
-    this._tempEngine = tempEngine;
-    return tempEngine.board;
   }
 
+  /** Whether the game has a result: over in `engine`, or an imported decisive or drawn Result */
+  gameFinished(engine) {
+    return engine.gameOver || /^(1-0|0-1|1\/2-1\/2)$/.test(this.tree?.tags.Result || '');
+  }
+
+  /** Delete the viewed variation and view the move it branched from */
+  deleteVariation() {
+    const parent = this.tree.deleteVariation(this.node);
+    if (parent) this.goToNode(parent);
+    return parent;
+  }
+
+  /**
+   * Replay the tree's mainline into `engine` if the two differ, keeping the
+   * moves' NAGs and comments; the mainline nodes then hold the engine's
+   * move records. A finished game whose moves were only added to keeps its
+   * result (a resignation, a flag or an agreed draw is not in the moves).
+   * @returns {boolean} whether the game changed
+   */
+  syncMainline(engine) {
+    if (this.gameTree(engine)) return false;
+    const line   = this.tree.mainline();
+    const played = engine.moveHistory;
+    const longer = line.length > played.length && played.every((move, i) => line[i].move === move);
+    const result = longer && engine.gameOver ? engine.gameResult : null;
+
+    engine.loadFEN(this.tree.startFEN, { variant: this.tree.variant });
+    for (const node of line) {
+      const { from, to, promoteTo } = node.move;
+      const record = engine.replayMove({ from, to, promoteTo });
+      for (const key of ['nags', 'comments', 'startComments']) {
+        if (node.move[key]) record[key] = node.move[key];
+      }
+      node.move = record;
+    }
+    if (result) {
+      engine.gameOver   = true;
+      engine.gameResult = result;
+    }
+    return true;
+  }
+
+  /** The game tree if its mainline is `engine`'s game (for PGN export), else null */
+  gameTree(engine) {
+    const tree = this.tree;
+    if (!tree) return null;
+    const mainline = { startFEN: tree.startFEN, moveHistory: tree.mainline().map(n => n.move) };
+    return AnalysisManager.curveKey(mainline) === AnalysisManager.curveKey(engine) ? tree : null;
+  }
+
+  /** Engine at the viewed position (after getBoardAtCurrentMove) */
+  viewedPosition() { return this._tempEngine; }
+
   /** Get evaluation at current position */
   getEvaluation(engine) {
     const tempEngine = this._tempEngine;
@@ -58,6 +150,192 @@ class AnalysisManager {
     return tempEngine.evaluate();
   }
 
+  /**
+   * Search the viewed position in the background (worker) and report
+   * { move, score, depth, nodes, lines, tablebase } unless navigation
+   * moved on meanwhile. `lines` holds the best `multiPV` moves.
+   */
+  analyze(onResult) {
+    const tempEngine = this._tempEngine;
+    if (!tempEngine || !this.ai) return;
+    if (this.building) { this._pending = onResult; return; }   // one search at a time
+    const viewed = this.node;
+    const depth  = this.depth || this.ai.analysisDepth;
+    this.ai.search(tempEngine, { depth, multiPV: this.multiPV }).then(res => {
+      if (res.stopped || !this.isActive || this.node !== viewed) return;
+      onResult(res);
+    });
+  }
+
+  /**
+   * Engine lines ({ score, pv } with UCI moves) from the viewed position
+   * as { score, moves }, each move { san, number, board, from, to }:
+   * `number` is "12." / "12..." where a move number is printed, and
+   * `board` is the position after the move, for previewing.
+   */
+  describeLines(lines) {
+    const tempEngine = this._tempEngine;
+    if (!tempEngine) return [];
+    const fen = tempEngine.toFEN();
+    return lines.map(({ score, pv }) => {
+      const line = new ChessEngine();
+      line.loadFEN(fen, { variant: tempEngine.variant });
+      const moves = [];
+      for (const uci of pv) {
+        const move = line.moveFromUci(uci);
+        if (!move) break;
+        const white  = line.turn === 'w';
+        const number = white ? line.fullMoveNumber + '.'
+          : moves.length === 0 ? line.fullMoveNumber + '...' : null;
+        const record = line.makeMove(move);
+        if (!record) break;
+        moves.push({ san: record.san, number, board: [...line.board], from: move.from, to: move.to });
+      }
+      return { score, moves };
+    });
+  }
+
+  /**
+   * Full-game review: search every position of the game, then grade each
+   * move by how much it lowered the mover's winning chances. Adds the NAG
+   * of each inaccuracy ($6), mistake ($2) and blunder ($4) to its move
+   * record's `nags`, so the move list and PGN export show it.
+   * @param {Function} [onProgress] (positionsDone, positionsTotal)
+   * @returns {Promise<?{moves, players, scores}>} null if a search was stopped;
+   *   moves[i]: { classification, nag, accuracy, drop, best } where best is
+   *   the engine's choice (UCI) and drop the lost winning chances in %;
+   *   players.w / .b: { accuracy, best, good, inaccuracy, mistake, blunder };
+   *   scores: every position's white-relative score, also kept as this.curve
+   */
+  async reviewGame(engine, onProgress) {
+    const depth   = this.reviewDepth || this.ai.analysisDepth;
+    const history = engine.moveHistory.slice();   // the game as it stands now
+    const key     = AnalysisManager.curveKey(engine);
+    const scored  = await this._scorePositions(engine, history, depth, onProgress);
+    if (!scored) return null;
+    const { scores, bestMoves, replay } = scored;
+    this.curve = { key, depth, scores };
+
+    const players = {};
+    for (const color of ['w', 'b']) {
+      players[color] = { accuracy: null, best: 0, good: 0, inaccuracy: 0, mistake: 0, blunder: 0 };
+    }
+    const accuracies = { w: [], b: [] };
+    const moves = history.map((m, i) => {
+      const color  = m.piece[0];
+      const sign   = color === 'w' ? 1 : -1;
+      const drop   = Math.max(0, AnalysisManager.winPercent(sign * scores[i]) -
+                                 AnalysisManager.winPercent(sign * scores[i + 1]));
+      const played = replay.moveToUci(m);
+      const grade  = played === bestMoves[i] ? AnalysisManager.REVIEW_GRADES[0]
+        : AnalysisManager.REVIEW_GRADES.find(g => drop >= g.drop);
+      // Move accuracy falls off exponentially with the drop (Lichess's curve)
+      const accuracy = Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+
+      // The grade replaces any move-quality NAG ($1–$6); others stay
+      m.nags = (m.nags || []).filter(nag => nag > 6);
+      if (grade.nag) m.nags.unshift(grade.nag);
+      players[color][grade.name]++;
+      accuracies[color].push(accuracy);
+      return { classification: grade.name, nag: grade.nag, accuracy, drop, best: bestMoves[i] };
+    });
+    for (const color of ['w', 'b']) {
+      const list = accuracies[color];
+      if (list.length) players[color].accuracy = list.reduce((a, b) => a + b, 0) / list.length;
+    }
+    return { moves, players, scores };
+  }
+
+  /**
+   * Score every position of the game for the eval graph, unless this.curve
+   * already holds this game (a review's deeper scores are kept). analyze()
+   * calls wait meanwhile, so the two searches do not cancel each other.
+   * @returns {Promise<?{key, depth, scores}>} null if a search was stopped
+   */
+  async buildCurve(engine, onProgress) {
+    const key = AnalysisManager.curveKey(engine);
+    if (this.curve?.key === key) return this.curve;
+    const build = ++this._builds;
+    this.building = true;
+    const scored = await this._scorePositions(engine, engine.moveHistory.slice(), this.graphDepth, onProgress);
+    if (build !== this._builds) return null;   // a newer build took over
+    this.building = false;
+    if (scored) this.curve = { key, depth: this.graphDepth, scores: scored.scores };
+
+    const pending = this._pending;
+    this._pending = null;
+    if (pending && this.isActive) this.analyze(pending);
+    return scored ? this.curve : null;
+  }
+
+  /**
+   * Search each position of `history` from the game's start: white-relative
+   * scores and best moves (UCI), one per position (moves + 1), plus the
+   * replay engine at the final position. null if a search was stopped.
+   */
+  async _scorePositions(engine, history, depth, onProgress) {
+    const total  = history.length;
+    const replay = new ChessEngine();
+    replay.loadFEN(engine.startFEN, { variant: engine.variant });
+
+    const scores = [], bestMoves = [];
+    for (let i = 0; i <= total; i++) {
+      if (replay.gameOver) {
+        scores.push(replay.evaluate());
+        bestMoves.push(null);
+      } else {
+        const res = await this.ai.search(replay, { depth });
+        if (res.stopped) return null;
+        scores.push(res.score);
+        bestMoves.push(res.move ? replay.moveToUci(res.move) : null);
+      }
+      if (onProgress) onProgress(i + 1, total + 1);
+      if (i < total) {
+        const m = history[i];
+        replay.replayMove({ from: m.from, to: m.to, promoteTo: m.promoteTo });
+      }
+    }
+    return { scores, bestMoves, replay };
+  }
+
+  /** Identifies a game (start position and moves) for the cached curve */
+  static curveKey(engine) {
+    return engine.startFEN + ' ' + engine.moveHistory.map(m => m.san).join(' ');
+  }
+
+  /**
+   * Indices of the moves that swung the winning chances by at least
+   * `threshold` percentage points, from position scores (as in curve.scores).
+   */
+  static swings(scores, threshold = 20) {
+    const marked = [];
+    for (let i = 1; i < scores.length; i++) {
+      const change = AnalysisManager.winPercent(scores[i]) - AnalysisManager.winPercent(scores[i - 1]);
+      if (Math.abs(change) >= threshold) marked.push(i - 1);
+    }
+    return marked;
+  }
+
+  /**
+   * Move grades for reviewGame(), by the drop in the mover's winning
+   * chances (percentage points); 'best' is the engine's own choice.
+   */
+  static get REVIEW_GRADES() {
+    return [
+      { name: 'best',       drop: Infinity, nag: 0 },
+      { name: 'blunder',    drop: 30,       nag: 4 },
+      { name: 'mistake',    drop: 20,       nag: 2 },
+      { name: 'inaccuracy', drop: 10,       nag: 6 },
+      { name: 'good',       drop: 0,        nag: 0 }
+    ];
+  }
+
+  /** Winning chances (0–100) for a centipawn score from the player's side */
+  static winPercent(score) {
+    const cp = Math.max(-1000, Math.min(1000, score));
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+  }
+
   /** Format engine score for display */
   static formatEval(score) {
     if (Math.abs(score) > 9000) {
@@ -68,6 +346,12 @@ class AnalysisManager {
     return (pawns >= 0 ? '+' : '') + pawns.toFixed(1);
   }
 
+  /** Tooltip for an exact tablebase result; `score` is the white-relative eval */
+  static describeTablebase(tb, score) {
+    if (tb.result === 'draw') return 'Tablebase: draw';
+    return `Tablebase: ${score > 0 ? 'White' : 'Black'} mates in ${Math.ceil(tb.dtm / 2)}`;
+  }
+
   /** Eval bar percentage (0–100, 50 = equal) */
   static evalToPercent(score) {
     const clamped = Math.max(-1000, Math.min(1000, score));
@@ -78,7 +362,7 @@ class AnalysisManager {
   startAutoplay(engine, intervalMs, onStep, onEnd) {
     this.stopAutoplay();
     this.autoplayId = setInterval(() => {
-      if (this.viewedMove >= engine.moveHistory.length - 1) {
+      if (!this.node.children.length) {
         this.stopAutoplay();
         if (onEnd) onEnd();
         return;
@@ -3,6 +3,7 @@
  * Complete legal-move generation and game-state management.
  * Implements: moves, castling, en passant, promotion, check/checkmate/stalemate,
  * threefold repetition, 50-move rule, insufficient material.
+ * ES module with no DOM or storage dependencies (runs in Node and workers).
  */
 
 "use strict";
@@ -88,32 +89,168 @@ const PST = {
   ],
 };
 
+// Evaluation weights as [middlegame, endgame] pairs in centipawns,
+// blended by game phase in evaluate()
+const EVAL_WEIGHTS = {
+  mobility: [1, 1], // per pseudo-legal move
+  doubledPawn: [-10, -20], // per extra pawn on a file
+  isolatedPawn: [-10, -15],
+  passedPawn: [5, 10], // plus passedPawnRank per rank beyond the 2nd
+  passedPawnRank: [8, 16],
+  bishopPair: [30, 50],
+  rookOpenFile: [20, 10],
+  rookHalfOpenFile: [10, 5],
+  kingShieldNear: [12, 0], // own pawn just in front of the king (or diagonally)
+  kingShieldFar: [6, 0], // ... or one square further
+};
+
+// Phase: 24 with all pieces on the board, 0 with only kings and pawns
+const PHASE_WEIGHTS = { N: 1, B: 1, R: 2, Q: 4 };
+const PHASE_MAX = 24;
+
+// Terms reported by evaluateBreakdown(), in display order
+const EVAL_TERMS = [
+  "material",
+  "pst",
+  "mobility",
+  "doubledPawns",
+  "isolatedPawns",
+  "passedPawns",
+  "bishopPair",
+  "rookFiles",
+  "kingShield",
+];
+const [
+  T_MATERIAL,
+  T_PST,
+  T_MOBILITY,
+  T_DOUBLED,
+  T_ISOLATED,
+  T_PASSED,
+  T_BISHOP_PAIR,
+  T_ROOK_FILES,
+  T_KING_SHIELD,
+] = EVAL_TERMS.keys();
+
+// Every tunable weight above as one parameter vector, for tools/tune.js:
+// piece values (not the king's), the piece-square tables, then each
+// EVAL_WEIGHTS pair. Slots are [container, key, name]; loading weights
+// writes into the containers in place, so these stay valid.
+const EVAL_PARAMS = [
+  ...["P", "N", "B", "R", "Q"].map((t) => [
+    PIECE_VALUES,
+    t,
+    `pieceValues.${t}`,
+  ]),
+  ...Object.keys(PST).flatMap((t) =>
+    PST[t].map((_, sq) => [PST[t], sq, `pst.${t}.${sq}`]),
+  ),
+  ...Object.keys(EVAL_WEIGHTS).flatMap((k) => [
+    [EVAL_WEIGHTS[k], 0, `weights.${k}.mg`],
+    [EVAL_WEIGHTS[k], 1, `weights.${k}.eg`],
+  ]),
+];
+
+// Castling rook squares in the standard start position (a8 = 0, h1 = 63)
+const STANDARD_CASTLING_ROOKS = { wK: 63, wQ: 56, bK: 7, bQ: 0 };
+
+// Knight slots (among the five squares left after bishops and queen)
+// for Chess960 start positions, indexed by Scharnagl's N5N table.
+const CHESS960_KNIGHTS = [
+  [0, 1],
+  [0, 2],
+  [0, 3],
+  [0, 4],
+  [1, 2],
+  [1, 3],
+  [1, 4],
+  [2, 3],
+  [2, 4],
+  [3, 4],
+];
+
+/* ======================================================
+   ZOBRIST KEYS
+   Each key is 53 bits (lo: 32, hi: 21) so a position hash fits in a
+   plain Number. The generator is seeded, so hashes are stable between
+   sessions and can be stored.
+   ====================================================== */
+const ZOBRIST = (() => {
+  let seed = 0x2545f491;
+  const next = () => {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return seed >>> 0;
+  };
+  const size = 12 * 64 + 4 + 8 + 1;
+  const lo = new Uint32Array(size);
+  const hi = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    lo[i] = next();
+    hi[i] = next() & 0x1fffff;
+  }
+  const piece = {};
+  ["wP", "wN", "wB", "wR", "wQ", "wK", "bP", "bN", "bB", "bR", "bQ", "bK"].forEach(
+    (p, i) => (piece[p] = i * 64),
+  );
+  return {
+    lo,
+    hi,
+    piece, // piece code -> offset of its 64 square keys
+    castling: { wK: 768, wQ: 769, bK: 770, bQ: 771 },
+    epFile: 772, // + file
+    side: 780, // black to move
+  };
+})();
+
 /* ======================================================
    GAME STATE CLASS
    ====================================================== */
 class ChessEngine {
+  static START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
   constructor() {
     this.reset();
   }
 
-  reset() {
-    this.board = this._startBoard();
+  /**
+   * Start a new game.
+   * @param {object} [options]
+   * @param {"standard"|"chess960"} [options.variant]
+   * @param {number} [options.startPosition] Chess960 position 0–959 (random if omitted)
+   */
+  reset(options = {}) {
+    this.variant = options.variant === "chess960" ? "chess960" : "standard";
+    this.startPosition =
+      this.variant === "chess960"
+        ? (options.startPosition ?? Math.floor(Math.random() * 960))
+        : 518;
+    this.board = this._startBoard(this.startPosition);
     this.turn = "w"; // 'w' or 'b'
     this.moveHistory = []; // Array of move objects
     this.castlingRights = { wK: true, wQ: true, bK: true, bQ: true };
+    this.castlingRooks = {
+      wK: this._outermostRook(this.board, "w", "K"),
+      wQ: this._outermostRook(this.board, "w", "Q"),
+      bK: this._outermostRook(this.board, "b", "K"),
+      bQ: this._outermostRook(this.board, "b", "Q"),
+    };
     this.enPassantTarget = null; // Square index or null
     this.halfMoveClock = 0;
     this.fullMoveNumber = 1;
-    this.positionMap = {}; // FEN -> count for repetition
+    this._undoStack = []; // make/unmake records, one per applied move
     this.gameOver = false;
     this.gameResult = null; // null | {winner, reason}
-    this._recordPosition();
+    this.startFEN = this.toFEN();
+    this._computeHash();
+    this._hashHistory = [this.hash]; // one hash per position, for repetition
   }
 
   // ---- Board initialisation ----
-  _startBoard() {
+  _startBoard(startPosition = 518) {
     const b = new Array(64).fill(null);
-    const backRank = ["R", "N", "B", "Q", "K", "B", "N", "R"];
+    const backRank = ChessEngine.chess960BackRank(startPosition);
     for (let f = 0; f < 8; f++) {
       b[f] = "b" + backRank[f];
       b[8 + f] = "bP";
@@ -123,6 +260,28 @@ class ChessEngine {
     return b;
   }
 
+  /**
+   * Back-rank piece order for a Chess960 start position, using
+   * Scharnagl numbering (0–959; 518 is the standard RNBQKBNR).
+   */
+  static chess960BackRank(n) {
+    const rank = new Array(8).fill(null);
+    const free = () => [0, 1, 2, 3, 4, 5, 6, 7].filter((f) => !rank[f]);
+    rank[2 * (n % 4) + 1] = "B"; // light-squared bishop: b, d, f, h
+    n = Math.floor(n / 4);
+    rank[2 * (n % 4)] = "B"; // dark-squared bishop: a, c, e, g
+    n = Math.floor(n / 4);
+    rank[free()[n % 6]] = "Q";
+    n = Math.floor(n / 6);
+    const knightSlots = free();
+    for (const slot of CHESS960_KNIGHTS[n]) rank[knightSlots[slot]] = "N";
+    const [qRook, king, kRook] = free();
+    rank[qRook] = "R";
+    rank[king] = "K";
+    rank[kRook] = "R";
+    return rank;
+  }
+
   // ---- Coordinate helpers ----
   static idx(r, f) {
     return r * 8 + f;
@@ -332,129 +491,84 @@ class ChessEngine {
           [1, 1],
         ])
           addStep(dr, df);
-        // Castling
-        const cr = castlingRights;
-        if (color === "w") {
-          if (cr.wK && !board[57] && !board[58] && board[56] === "wR")
-            moves.push({
-              from,
-              to: 58,
-              type: "castleKing",
-              rookFrom: 56,
-              rookTo: 57,
-            });
-          if (
-            cr.wQ &&
-            !board[59] &&
-            !board[60] &&
-            !board[61] &&
-            board[63] === "wR"
-          )
-            moves.push({
-              from,
-              to: 60,
-              type: "castleQueen",
-              rookFrom: 63,
-              rookTo: 61,
-            });
-        } else {
-          if (cr.bK && !board[1] && !board[2] && board[0] === "bR")
-            moves.push({
-              from,
-              to: 2,
-              type: "castleKing",
-              rookFrom: 0,
-              rookTo: 1,
-            });
-          if (
-            cr.bQ &&
-            !board[5] &&
-            !board[6] &&
-            !board[7] &&
-            board[7] === null &&
-            board[3] === "bR"
-          )
-            moves.push({
-              from,
-              to: 4,
-              type: "castleQueen",
-              rookFrom: 7,
-              rookTo: 5,
-            });
-        }
         break;
       }
     }
     return moves;
   }
 
-  // Fix castling index bug - let me redo castling properly
+  /**
+   * Castling moves for `color`. Works for any Chess960 arrangement: the
+   * king always lands on the c/g file and the rook on the d/f file.
+   * In Chess960 the move is encoded as "king takes own rook" (to = rook
+   * square) so it cannot collide with an ordinary king move.
+   */
   _getCastlingMoves(board, color, castlingRights) {
     const moves = [];
-    if (color === "w") {
-      // King-side: e1=60, f1=61, g1=62, h1=63 (board index from top-left 0=a8, 63=h1)
-      if (
-        castlingRights.wK &&
-        board[61] === null &&
-        board[62] === null &&
-        board[63] === "wR"
-      )
-        moves.push({
-          from: 60,
-          to: 62,
-          type: "castleKing",
-          rookFrom: 63,
-          rookTo: 61,
-        });
-      // Queen-side: a1=56, b1=57, c1=58, d1=59, e1=60
-      if (
-        castlingRights.wQ &&
-        board[57] === null &&
-        board[58] === null &&
-        board[59] === null &&
-        board[56] === "wR"
-      )
-        moves.push({
-          from: 60,
-          to: 58,
-          type: "castleQueen",
-          rookFrom: 56,
-          rookTo: 59,
-        });
-    } else {
-      // King-side: e8=4, f8=5, g8=6, h8=7
-      if (
-        castlingRights.bK &&
-        board[5] === null &&
-        board[6] === null &&
-        board[7] === "bR"
-      )
-        moves.push({
-          from: 4,
-          to: 6,
-          type: "castleKing",
-          rookFrom: 7,
-          rookTo: 5,
-        });
-      // Queen-side: a8=0, b8=1, c8=2, d8=3, e8=4
-      if (
-        castlingRights.bQ &&
-        board[1] === null &&
-        board[2] === null &&
-        board[3] === null &&
-        board[0] === "bR"
-      )
-        moves.push({
-          from: 4,
-          to: 2,
-          type: "castleQueen",
-          rookFrom: 0,
-          rookTo: 3,
-        });
+    const kingFrom = this.findKing(board, color);
+    const back = color === "w" ? 56 : 0;
+    if (kingFrom < back || kingFrom > back + 7) return moves;
+
+    for (const side of ["K", "Q"]) {
+      const right = color + side;
+      if (!castlingRights[right]) continue;
+      const rookFrom = this.castlingRooks[right];
+      if (board[rookFrom] !== color + "R") continue;
+      const kingTo = back + (side === "K" ? 6 : 2);
+      const rookTo = back + (side === "K" ? 5 : 3);
+
+      // Every square the king or rook crosses or lands on must be empty,
+      // apart from the castling king and rook themselves.
+      const lo = Math.min(kingFrom, kingTo, rookFrom, rookTo);
+      const hi = Math.max(kingFrom, kingTo, rookFrom, rookTo);
+      let clear = true;
+      for (let sq = lo; sq <= hi; sq++) {
+        if (board[sq] && sq !== kingFrom && sq !== rookFrom) {
+          clear = false;
+          break;
+        }
+      }
+      if (!clear) continue;
+
+      moves.push({
+        from: kingFrom,
+        to: this.variant === "chess960" ? rookFrom : kingTo,
+        type: side === "K" ? "castleKing" : "castleQueen",
+        kingTo,
+        rookFrom,
+        rookTo,
+      });
     }
     return moves;
   }
 
+  // Outermost rook on the king's rank on the given side, or null.
+  _outermostRook(board, color, side) {
+    const back = color === "w" ? 56 : 0;
+    const kingFile = this.findKing(board, color) - back;
+    if (kingFile < 0 || kingFile > 7) return null;
+    const rook = color + "R";
+    if (side === "K") {
+      for (let f = 7; f > kingFile; f--) if (board[back + f] === rook) return back + f;
+    } else {
+      for (let f = 0; f < kingFile; f++) if (board[back + f] === rook) return back + f;
+    }
+    return null;
+  }
+
+  _updateCastlingRights(move, piece) {
+    const color = ChessEngine.color(piece);
+    if (ChessEngine.type(piece) === "K") {
+      this.castlingRights[color + "K"] = false;
+      this.castlingRights[color + "Q"] = false;
+    }
+    // A rook leaving or being captured on its castling square loses the right
+    for (const right of ["wK", "wQ", "bK", "bQ"]) {
+      const sq = this.castlingRooks[right];
+      if (move.from === sq || move.to === sq) this.castlingRights[right] = false;
+    }
+  }
+
   /* ==================================================
      IS SQUARE ATTACKED?
      ================================================== */
@@ -563,13 +677,18 @@ class ChessEngine {
   applyMoveToBoard(board, move) {
     const b = board.slice();
     const piece = b[move.from];
-    b[move.to] = move.promoteTo || piece;
-    b[move.from] = null;
-    if (move.type === "enPassant") b[move.capturedSq] = null;
     if (move.type === "castleKing" || move.type === "castleQueen") {
-      b[move.rookTo] = b[move.rookFrom];
+      // Lift both pieces first: in Chess960 the squares may overlap
+      const rook = b[move.rookFrom];
+      b[move.from] = null;
       b[move.rookFrom] = null;
+      b[move.kingTo] = piece;
+      b[move.rookTo] = rook;
+      return b;
     }
+    b[move.to] = move.promoteTo || piece;
+    b[move.from] = null;
+    if (move.type === "enPassant") b[move.capturedSq] = null;
     return b;
   }
 
@@ -623,12 +742,10 @@ class ChessEngine {
     if (move.type === "castleKing" || move.type === "castleQueen") {
       if (this.isInCheck(this.board, color)) return false;
       // Check squares king passes through
-      const passSquares =
-        move.type === "castleKing"
-          ? [move.from + 1, move.from + 2]
-          : [move.from - 1, move.from - 2];
+      const step = move.kingTo > move.from ? 1 : -1;
       const opp = ChessEngine.opp(color);
-      for (const sq of passSquares) {
+      for (let sq = move.from; sq !== move.kingTo; ) {
+        sq += step;
         const testB = this.applyMoveToBoard(this.board, {
           from: move.from,
           to: sq,
@@ -637,8 +754,10 @@ class ChessEngine {
         if (this.isAttacked(testB, sq, opp)) return false;
       }
     }
-    const newBoard = this.applyMoveToBoard(this.board, move);
-    return !this.isInCheck(newBoard, color);
+    this.applyMoveFull(move);
+    const legal = !this.isInCheck(this.board, color);
+    this.unmakeMove();
+    return legal;
   }
 
   /* ==================================================
@@ -658,45 +777,16 @@ class ChessEngine {
     if (!found) return false;
 
     const piece = this.board[move.from];
-    const captured = this.board[move.to];
-    const color = ChessEngine.color(piece);
-    const type = ChessEngine.type(piece);
-
-    // Apply board
-    this.board = this.applyMoveToBoard(this.board, found);
-
-    // Update en passant target
-    this.enPassantTarget = null;
-    if (found.type === "doublePush") {
-      const dir = color === "w" ? 1 : -1;
-      this.enPassantTarget = found.to + dir * 8;
-    }
+    const isCastle = found.type === "castleKing" || found.type === "castleQueen";
+    const captured = isCastle ? null : this.board[move.to];
 
-    // Update castling rights
-    if (type === "K") {
-      if (color === "w") {
-        this.castlingRights.wK = false;
-        this.castlingRights.wQ = false;
-      } else {
-        this.castlingRights.bK = false;
-        this.castlingRights.bQ = false;
-      }
-    }
-    if (type === "R") {
-      if (found.from === 56) this.castlingRights.wQ = false;
-      if (found.from === 63) this.castlingRights.wK = false;
-      if (found.from === 0) this.castlingRights.bQ = false;
-      if (found.from === 7) this.castlingRights.bK = false;
-    }
+    // SAN needs the position before the move (for disambiguation)
+    const san = this._toSAN(found, piece, captured);
 
-    // Update clocks
-    if (type === "P" || captured || found.type === "enPassant")
-      this.halfMoveClock = 0;
-    else this.halfMoveClock++;
-    if (color === "b") this.fullMoveNumber++;
+    // Apply board, rights, clocks and turn (undo record goes on the stack)
+    this.applyMoveFull(found);
 
     // Build move record
-    const san = this._toSAN(found, piece, captured);
     const moveRecord = {
       ...found,
       piece,
@@ -707,9 +797,6 @@ class ChessEngine {
       enPassantTarget: this.enPassantTarget,
     };
 
-    // Switch turn
-    this.turn = ChessEngine.opp(color);
-
     // Post-move flags
     moveRecord.isCheck = this.isInCheck(this.board, this.turn);
     moveRecord.isMate =
@@ -719,7 +806,6 @@ class ChessEngine {
     if (moveRecord.isCheck) moveRecord.san += moveRecord.isMate ? "#" : "+";
 
     this.moveHistory.push(moveRecord);
-    this._recordPosition();
 
     // Check game end conditions
     this._checkGameEnd(moveRecord);
@@ -727,6 +813,23 @@ class ChessEngine {
     return moveRecord;
   }
 
+  /**
+   * makeMove() for replaying a recorded game (PGN import, the analysis
+   * mainline). A threefold repetition or the 50-move rule ends a game
+   * played here, but over the board it only allows a claim, so a recorded
+   * game that went on past one carries on; the last move decides the end.
+   */
+  replayMove(move) {
+    const r = this.gameResult;
+    const claimable =
+      r && (r.reason === "threefold repetition" || r.reason === "50-move rule");
+    if (this.gameOver && claimable) {
+      this.gameOver = false;
+      this.gameResult = null;
+    }
+    return this.makeMove(move);
+  }
+
   _checkGameEnd(lastMove) {
     const color = this.turn; // current player (just moved means it's their opponent's turn now)
     const legal = this.getAllLegalMoves();
@@ -801,7 +904,8 @@ class ChessEngine {
       (m) =>
         m.to === move.to &&
         this.board[m.from] === piece &&
-        m.from !== move.from,
+        m.from !== move.from &&
+        this._isLegal(m, color),
     );
     if (allMoves.length === 0) return "";
     const sameFile = allMoves.some(
@@ -826,19 +930,64 @@ class ChessEngine {
   }
 
   /* ==================================================
-     POSITION RECORDING (threefold repetition)
+     ZOBRIST HASHING & REPETITION
      ================================================== */
-  _fenCore() {
-    return this.toFEN().split(" ").slice(0, 4).join(" ");
+
+  /** Position identity (53-bit integer), maintained incrementally. */
+  get hash() {
+    return this._hashHi * 0x100000000 + (this._hashLo >>> 0);
   }
 
-  _recordPosition() {
-    const key = this._fenCore();
-    this.positionMap[key] = (this.positionMap[key] || 0) + 1;
+  _xorKey(i) {
+    this._hashLo ^= ZOBRIST.lo[i];
+    this._hashHi ^= ZOBRIST.hi[i];
+  }
+
+  _computeHash() {
+    this._hashLo = 0;
+    this._hashHi = 0;
+    for (let sq = 0; sq < 64; sq++) {
+      if (this.board[sq]) this._xorKey(ZOBRIST.piece[this.board[sq]] + sq);
+    }
+    for (const right of ["wK", "wQ", "bK", "bQ"]) {
+      if (this.castlingRights[right]) this._xorKey(ZOBRIST.castling[right]);
+    }
+    if (this._epHashed())
+      this._xorKey(ZOBRIST.epFile + ChessEngine.col(this.enPassantTarget));
+    if (this.turn === "b") this._xorKey(ZOBRIST.side);
+  }
+
+  // The en passant square only changes the position if a capture is possible
+  _epHashed() {
+    const ep = this.enPassantTarget;
+    if (ep === null) return false;
+    const r = ChessEngine.row(ep) + (this.turn === "w" ? 1 : -1);
+    const f = ChessEngine.col(ep);
+    const pawn = this.turn + "P";
+    return (
+      (f > 0 && this.board[ChessEngine.idx(r, f - 1)] === pawn) ||
+      (f < 7 && this.board[ChessEngine.idx(r, f + 1)] === pawn)
+    );
+  }
+
+  /**
+   * How many times the current position occurred before. Only looks back
+   * to the last irreversible move (pawn move or capture), since no earlier
+   * position can recur.
+   */
+  repetitionCount() {
+    const h = this._hashHistory;
+    const current = h[h.length - 1];
+    const limit = Math.max(0, h.length - 1 - this.halfMoveClock);
+    let count = 0;
+    for (let i = h.length - 3; i >= limit; i -= 2) {
+      if (h[i] === current) count++;
+    }
+    return count;
   }
 
   _isThreefoldRepetition() {
-    return Object.values(this.positionMap).some((c) => c >= 3);
+    return this.repetitionCount() >= 2;
   }
 
   /* ==================================================
@@ -919,50 +1068,285 @@ class ChessEngine {
   /* ==================================================
      EVALUATION (for analysis & hint display)
      ================================================== */
-  evaluate() {
+  /**
+   * Static evaluation in centipawns, positive = good for white. Each term
+   * has a middlegame and an endgame value, blended by the phase; see
+   * evaluateBreakdown() for the individual terms.
+   * @param {?ArrayLike<number>} [termScales] a factor per EVAL_TERMS entry,
+   *   e.g. for an AI playing style
+   */
+  evaluate(termScales = null) {
     if (this.gameResult) {
       if (!this.gameResult.winner) return 0;
       return this.gameResult.winner === "w" ? 99999 : -99999;
     }
-    let score = 0;
-    const pieces = this.board;
-    let totalMat = 0;
-    for (const p of pieces) {
-      if (!p) continue;
-      totalMat += PIECE_VALUES[p[1]] || 0;
+    const acc = this._evalTerms();
+    const phase = acc[2 * EVAL_TERMS.length];
+    let mg = 0,
+      eg = 0;
+    for (let t = 0; t < EVAL_TERMS.length; t++) {
+      const scale = termScales ? termScales[t] : 1;
+      mg += acc[2 * t] * scale;
+      eg += acc[2 * t + 1] * scale;
     }
-    const isEndgame = totalMat < 1500;
+    return (mg * phase + eg * (PHASE_MAX - phase)) / PHASE_MAX;
+  }
 
+  /**
+   * Evaluation term by term: { phase, total, terms } where phase runs from
+   * 24 (all pieces on) to 0 (kings and pawns only) and every term in
+   * EVAL_TERMS is { mg, eg, score }, white-relative, score being the
+   * phase-blended value that adds up to total.
+   */
+  evaluateBreakdown() {
+    const acc = this._evalTerms();
+    const phase = acc[2 * EVAL_TERMS.length];
+    const terms = {};
+    let total = 0;
+    EVAL_TERMS.forEach((term, t) => {
+      const mg = acc[2 * t],
+        eg = acc[2 * t + 1];
+      const score = (mg * phase + eg * (PHASE_MAX - phase)) / PHASE_MAX;
+      terms[term] = { mg, eg, score };
+      total += score;
+    });
+    return { phase, total, terms };
+  }
+
+  /**
+   * Fill the shared accumulator with white-relative [mg, eg] pairs per
+   * EVAL_TERMS entry, followed by the phase.
+   */
+  _evalTerms() {
+    const board = this.board;
+    const w = EVAL_WEIGHTS;
+    const acc =
+      this._evalAcc ||
+      (this._evalAcc = new Float64Array(2 * EVAL_TERMS.length + 1));
+    acc.fill(0);
+    // Pawns per file (white 0–7, black 8–15), then per file the rearmost
+    // row of a white pawn (16–23) and of a black pawn (24–31), for passers
+    const pawnFiles = this._pawnFiles || (this._pawnFiles = new Int8Array(32));
+    pawnFiles.fill(0, 0, 16);
+    pawnFiles.fill(-1, 16, 24);
+    pawnFiles.fill(8, 24, 32);
+    let wBishops = 0,
+      bBishops = 0,
+      wKing = -1,
+      bKing = -1,
+      phase = 0;
+
+    // Material, piece-square tables and phase
     for (let i = 0; i < 64; i++) {
-      const p = pieces[i];
+      const p = board[i];
       if (!p) continue;
       const color = p[0],
         type = p[1];
-      const val = PIECE_VALUES[type] || 0;
-      let pst = 0;
-      const tableKey = type === "K" && isEndgame ? "K_END" : type;
-      if (PST[tableKey]) {
-        const idx = color === "w" ? i : 56 - Math.floor(i / 8) * 8 + (i % 8);
-        pst = PST[tableKey][Math.min(idx, 63)] || 0;
+      const sign = color === "w" ? 1 : -1;
+      const sq = color === "w" ? i : i ^ 56; // tables are from white's side
+      if (type !== "K") {
+        acc[2 * T_MATERIAL] += sign * PIECE_VALUES[type];
+        acc[2 * T_MATERIAL + 1] += sign * PIECE_VALUES[type];
+      }
+      acc[2 * T_PST] += sign * PST[type][sq];
+      acc[2 * T_PST + 1] += sign * PST[type === "K" ? "K_END" : type][sq];
+      phase += PHASE_WEIGHTS[type] || 0;
+      if (type === "P") {
+        const file = i & 7,
+          row = i >> 3;
+        if (color === "w") {
+          pawnFiles[file]++;
+          pawnFiles[16 + file] = Math.max(pawnFiles[16 + file], row);
+        } else {
+          pawnFiles[8 + file]++;
+          pawnFiles[24 + file] = Math.min(pawnFiles[24 + file], row);
+        }
+      } else if (type === "B") color === "w" ? wBishops++ : bBishops++;
+      else if (type === "K") color === "w" ? (wKing = i) : (bKing = i);
+    }
+
+    // Pawn structure and rook files
+    for (let i = 0; i < 64; i++) {
+      const p = board[i];
+      if (!p || (p[1] !== "P" && p[1] !== "R")) continue;
+      const color = p[0];
+      const sign = color === "w" ? 1 : -1;
+      const file = i & 7;
+      const own = color === "w" ? 0 : 8;
+      const enemy = 8 - own;
+      if (p[1] === "R") {
+        if (!pawnFiles[own + file]) {
+          const weight = pawnFiles[enemy + file]
+            ? w.rookHalfOpenFile
+            : w.rookOpenFile;
+          this._addTerm(T_ROOK_FILES, sign, weight, 1);
+        }
+        continue;
+      }
+      if (
+        !(file > 0 && pawnFiles[own + file - 1]) &&
+        !(file < 7 && pawnFiles[own + file + 1])
+      ) {
+        this._addTerm(T_ISOLATED, sign, w.isolatedPawn, 1);
+      }
+      if (this._isPassedPawn(pawnFiles, i, color)) {
+        const rank = color === "w" ? 7 - (i >> 3) : i >> 3; // 1 = start rank
+        this._addTerm(T_PASSED, sign, w.passedPawn, 1);
+        this._addTerm(T_PASSED, sign, w.passedPawnRank, rank - 1);
       }
-      score += (color === "w" ? 1 : -1) * (val + pst);
     }
-    // Mobility bonus
+    for (let f = 0; f < 16; f++) {
+      if (pawnFiles[f] > 1) {
+        this._addTerm(
+          T_DOUBLED,
+          f < 8 ? 1 : -1,
+          w.doubledPawn,
+          pawnFiles[f] - 1,
+        );
+      }
+    }
+    if (wBishops >= 2) this._addTerm(T_BISHOP_PAIR, 1, w.bishopPair, 1);
+    if (bBishops >= 2) this._addTerm(T_BISHOP_PAIR, -1, w.bishopPair, 1);
+    this._kingShield(board, wKing, "w", 1);
+    this._kingShield(board, bKing, "b", -1);
+
+    // Mobility
     const wMoves = this._getAllPseudoMoves(
-      this.board,
+      board,
       "w",
       this.castlingRights,
       this.enPassantTarget,
     ).length;
     const bMoves = this._getAllPseudoMoves(
-      this.board,
+      board,
       "b",
       this.castlingRights,
       this.enPassantTarget,
     ).length;
-    score += (wMoves - bMoves) * 0.1;
+    this._addTerm(T_MOBILITY, 1, w.mobility, wMoves - bMoves);
+
+    acc[2 * EVAL_TERMS.length] = Math.min(phase, PHASE_MAX);
+    return acc;
+  }
 
-    return score;
+  /**
+   * Piece values this engine evaluates with (its module instance's, which
+   * loadEvalWeights() may have changed). Code searching an engine reads
+   * them here rather than importing its own copy.
+   */
+  get pieceValues() {
+    return PIECE_VALUES;
+  }
+
+  /**
+   * The tunable evaluation weights as a flat vector: { names, values },
+   * names like "pst.N.27" or "weights.mobility.eg". Shared by every
+   * ChessEngine in this module instance.
+   */
+  static evalParams() {
+    return {
+      names: EVAL_PARAMS.map((slot) => slot[2]),
+      values: EVAL_PARAMS.map(([container, key]) => container[key]),
+    };
+  }
+
+  /** Set every tunable weight from a vector laid out like evalParams() */
+  static setEvalParams(values) {
+    if (values.length !== EVAL_PARAMS.length) {
+      throw new Error(`Expected ${EVAL_PARAMS.length} evaluation parameters`);
+    }
+    EVAL_PARAMS.forEach(([container, key], i) => {
+      container[key] = values[i];
+    });
+  }
+
+  /**
+   * Current weights as plain JSON:
+   * { pieceValues: { P, N, B, R, Q }, pst: { P: [64], ... }, weights: { mobility: [mg, eg], ... } }
+   */
+  static evalWeights() {
+    const json = { pieceValues: {}, pst: {}, weights: {} };
+    for (const [container, key, name] of EVAL_PARAMS) {
+      const [group, table] = name.split(".");
+      if (group === "pieceValues") json.pieceValues[key] = container[key];
+      else if (group === "pst") json.pst[table] = [...container];
+      else json.weights[table] = [...container];
+    }
+    return json;
+  }
+
+  /**
+   * Load weights in the evalWeights() layout, e.g. a tools/tune.js result.
+   * Entries left out keep their value; a malformed entry throws before
+   * anything changes.
+   */
+  static loadEvalWeights(json) {
+    const updates = [];
+    const number = (value, name) => {
+      if (!Number.isFinite(value)) throw new Error(`Invalid weight: ${name}`);
+      return value;
+    };
+    for (const [t, value] of Object.entries(json?.pieceValues || {})) {
+      if (!(t in PIECE_VALUES) || t === "K") {
+        throw new Error(`Unknown piece value: ${t}`);
+      }
+      updates.push([PIECE_VALUES, t, number(value, `pieceValues.${t}`)]);
+    }
+    for (const [t, table] of Object.entries(json?.pst || {})) {
+      if (!PST[t] || !Array.isArray(table) || table.length !== 64) {
+        throw new Error(`Invalid piece-square table: ${t}`);
+      }
+      table.forEach((v, sq) =>
+        updates.push([PST[t], sq, number(v, `pst.${t}`)]),
+      );
+    }
+    for (const [k, pair] of Object.entries(json?.weights || {})) {
+      if (!EVAL_WEIGHTS[k] || !Array.isArray(pair) || pair.length !== 2) {
+        throw new Error(`Invalid evaluation weight: ${k}`);
+      }
+      pair.forEach((v, i) => updates.push([EVAL_WEIGHTS[k], i, number(v, k)]));
+    }
+    for (const [container, key, value] of updates) container[key] = value;
+  }
+
+  _addTerm(term, sign, weight, times) {
+    this._evalAcc[2 * term] += sign * weight[0] * times;
+    this._evalAcc[2 * term + 1] += sign * weight[1] * times;
+  }
+
+  /** No enemy pawn ahead of the pawn on its own or an adjacent file */
+  _isPassedPawn(pawnFiles, sq, color) {
+    const file = sq & 7,
+      row = sq >> 3;
+    for (let f = Math.max(0, file - 1); f <= Math.min(7, file + 1); f++) {
+      // White moves towards row 0, so a black pawn on a lower row blocks
+      if (color === "w" ? pawnFiles[24 + f] < row : pawnFiles[16 + f] > row) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Pawn shield for a king still on its first two ranks: own pawns one or
+   * two squares ahead on the king's file or the files beside it.
+   */
+  _kingShield(board, kingSq, color, sign) {
+    if (kingSq < 0) return;
+    const homeRow = color === "w" ? 7 : 0;
+    if (Math.abs((kingSq >> 3) - homeRow) > 1) return;
+    const pawn = color + "P";
+    const step = color === "w" ? -8 : 8;
+    const file = kingSq & 7;
+    for (let df = -1; df <= 1; df++) {
+      const f = file + df;
+      if (f < 0 || f > 7) continue;
+      if (board[kingSq + step + df] === pawn) {
+        this._addTerm(T_KING_SHIELD, sign, EVAL_WEIGHTS.kingShieldNear, 1);
+      } else if (board[kingSq + 2 * step + df] === pawn) {
+        this._addTerm(T_KING_SHIELD, sign, EVAL_WEIGHTS.kingShieldFar, 1);
+      }
+    }
   }
 
   /* ==================================================
@@ -971,27 +1355,7 @@ class ChessEngine {
   undoMove() {
     if (this.moveHistory.length === 0) return false;
     const last = this.moveHistory.pop();
-
-    // Remove position recording
-    const key = Object.keys(this.positionMap).pop();
-    if (key) {
-      this.positionMap[key]--;
-      if (this.positionMap[key] <= 0) delete this.positionMap[key];
-    }
-
-    // Rebuild from FEN of previous position
-    if (this.moveHistory.length > 0) {
-      const prevFen = this.moveHistory[this.moveHistory.length - 1].fen;
-      this.loadFEN(prevFen);
-      // Turn is the color that just moved
-      this.turn = ChessEngine.opp(ChessEngine.color(last.piece));
-    } else {
-      this.reset();
-      this.moveHistory = [];
-    }
-
-    this.gameOver = false;
-    this.gameResult = null;
+    this.unmakeMove();
     return last;
   }
 
@@ -1001,6 +1365,7 @@ class ChessEngine {
   getBoardAtMove(moveIndex) {
     // Rebuild board state by replaying moves up to moveIndex
     const tempEngine = new ChessEngine();
+    tempEngine.loadFEN(this.startFEN, { variant: this.variant });
     for (let i = 0; i <= moveIndex && i < this.moveHistory.length; i++) {
       const m = this.moveHistory[i];
       const legal = tempEngine
@@ -1022,33 +1387,176 @@ class ChessEngine {
     return tempEngine.board;
   }
 
+  /* ==================================================
+     MAKE / UNMAKE
+     applyMoveFull() plays a move without legality checks and pushes an
+     undo record; unmakeMove() pops it and restores the position exactly.
+     The search uses the pair directly; makeMove()/undoMove() wrap it.
+     ================================================== */
   applyMoveFull(move) {
-    // Internal: apply without checks (used during replay)
-    const piece = this.board[move.from];
+    const board = this.board;
+    const piece = board[move.from];
     const color = ChessEngine.color(piece);
-    const type = ChessEngine.type(piece);
-    this.board = this.applyMoveToBoard(this.board, move);
+    const isCastle = move.type === "castleKing" || move.type === "castleQueen";
+    const undo = {
+      move,
+      piece,
+      captured: isCastle
+        ? null
+        : board[move.type === "enPassant" ? move.capturedSq : move.to],
+      castlingRights: { ...this.castlingRights },
+      enPassantTarget: this.enPassantTarget,
+      halfMoveClock: this.halfMoveClock,
+      fullMoveNumber: this.fullMoveNumber,
+      gameOver: this.gameOver,
+      gameResult: this.gameResult,
+      hashLo: this._hashLo,
+      hashHi: this._hashHi,
+    };
+
+    // Hash out the old en passant file and castling rights
+    if (this._epHashed())
+      this._xorKey(ZOBRIST.epFile + ChessEngine.col(this.enPassantTarget));
+    for (const right of ["wK", "wQ", "bK", "bQ"]) {
+      if (this.castlingRights[right]) this._xorKey(ZOBRIST.castling[right]);
+    }
+
+    if (isCastle) {
+      // Lift both pieces first: in Chess960 the squares may overlap
+      const rook = board[move.rookFrom];
+      board[move.from] = null;
+      board[move.rookFrom] = null;
+      board[move.kingTo] = piece;
+      board[move.rookTo] = rook;
+      this._xorKey(ZOBRIST.piece[piece] + move.from);
+      this._xorKey(ZOBRIST.piece[rook] + move.rookFrom);
+      this._xorKey(ZOBRIST.piece[piece] + move.kingTo);
+      this._xorKey(ZOBRIST.piece[rook] + move.rookTo);
+    } else {
+      const placed = move.promoteTo || piece;
+      board[move.to] = placed;
+      board[move.from] = null;
+      if (move.type === "enPassant") board[move.capturedSq] = null;
+      this._xorKey(ZOBRIST.piece[piece] + move.from);
+      if (undo.captured) {
+        const capSq = move.type === "enPassant" ? move.capturedSq : move.to;
+        this._xorKey(ZOBRIST.piece[undo.captured] + capSq);
+      }
+      this._xorKey(ZOBRIST.piece[placed] + move.to);
+    }
+
     this.enPassantTarget = null;
     if (move.type === "doublePush") {
       const dir = color === "w" ? 1 : -1;
       this.enPassantTarget = move.to + dir * 8;
     }
-    if (type === "K") {
-      if (color === "w") {
-        this.castlingRights.wK = false;
-        this.castlingRights.wQ = false;
-      } else {
-        this.castlingRights.bK = false;
-        this.castlingRights.bQ = false;
-      }
+    this._updateCastlingRights(move, piece);
+    if (piece[1] === "P" || undo.captured) this.halfMoveClock = 0;
+    else this.halfMoveClock++;
+    if (color === "b") this.fullMoveNumber++;
+    this.turn = ChessEngine.opp(color);
+
+    // Hash in the new castling rights, side to move and en passant file
+    for (const right of ["wK", "wQ", "bK", "bQ"]) {
+      if (this.castlingRights[right]) this._xorKey(ZOBRIST.castling[right]);
     }
-    if (type === "R") {
-      if (move.from === 56) this.castlingRights.wQ = false;
-      if (move.from === 63) this.castlingRights.wK = false;
-      if (move.from === 0) this.castlingRights.bQ = false;
-      if (move.from === 7) this.castlingRights.bK = false;
+    this._xorKey(ZOBRIST.side);
+    if (this._epHashed())
+      this._xorKey(ZOBRIST.epFile + ChessEngine.col(this.enPassantTarget));
+
+    this._undoStack.push(undo);
+    this._hashHistory.push(this.hash);
+    return undo;
+  }
+
+  unmakeMove() {
+    const undo = this._undoStack.pop();
+    if (!undo) return null;
+    const { move, piece } = undo;
+    const board = this.board;
+
+    if (move.type === "castleKing" || move.type === "castleQueen") {
+      board[move.kingTo] = null;
+      board[move.rookTo] = null;
+      board[move.from] = piece;
+      board[move.rookFrom] = piece[0] + "R";
+    } else if (move.type === "enPassant") {
+      board[move.from] = piece;
+      board[move.to] = null;
+      board[move.capturedSq] = undo.captured;
+    } else {
+      board[move.from] = piece;
+      board[move.to] = undo.captured;
     }
-    this.turn = ChessEngine.opp(color);
+
+    this.castlingRights = undo.castlingRights;
+    this.enPassantTarget = undo.enPassantTarget;
+    this.halfMoveClock = undo.halfMoveClock;
+    this.fullMoveNumber = undo.fullMoveNumber;
+    this.gameOver = undo.gameOver;
+    this.gameResult = undo.gameResult;
+    this.turn = piece[0];
+    this._hashLo = undo.hashLo;
+    this._hashHi = undo.hashHi;
+    this._hashHistory.pop();
+    return undo;
+  }
+
+  /* ==================================================
+     PERFT (move-generator verification)
+     ================================================== */
+
+  /** Count leaf nodes of the legal move tree to `depth` plies. */
+  perft(depth) {
+    if (depth === 0) return 1;
+    const moves = this.getAllLegalMoves();
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+      this.applyMoveFull(move);
+      nodes += this.perft(depth - 1);
+      this.unmakeMove();
+    }
+    return nodes;
+  }
+
+  /**
+   * Perft split by root move, for locating generator bugs.
+   * @returns {{ moves: {move: string, nodes: number}[], total: number }}
+   */
+  divide(depth) {
+    const moves = [];
+    let total = 0;
+    for (const move of this.getAllLegalMoves()) {
+      this.applyMoveFull(move);
+      const nodes = depth > 1 ? this.perft(depth - 1) : 1;
+      this.unmakeMove();
+      moves.push({ move: this.moveToUci(move), nodes });
+      total += nodes;
+    }
+    return { moves, total };
+  }
+
+  /** Long algebraic (UCI) form, e.g. "e2e4", "e7e8q". */
+  moveToUci(move) {
+    return (
+      this._sqToAlg(move.from) +
+      this._sqToAlg(move.to) +
+      (move.promoteTo ? move.promoteTo[1].toLowerCase() : "")
+    );
+  }
+
+  /** The legal move in the current position matching a UCI string, or null. */
+  moveFromUci(uci) {
+    const text = String(uci).trim().toLowerCase();
+    return (
+      this.getAllLegalMoves().find((m) => this.moveToUci(m) === text) || null
+    );
+  }
+
+  /** Moves applied since startFEN, in UCI form (the current game line). */
+  uciLine() {
+    return this._undoStack.map((u) => this.moveToUci(u.move));
   }
 
   /* ==================================================
@@ -1083,12 +1591,20 @@ class ChessEngine {
     }
     // Turn
     fen += " " + this.turn;
-    // Castling
+    // Castling (X-FEN in Chess960: a file letter only when K/Q is ambiguous)
     let cr = "";
-    if (this.castlingRights.wK) cr += "K";
-    if (this.castlingRights.wQ) cr += "Q";
-    if (this.castlingRights.bK) cr += "k";
-    if (this.castlingRights.bQ) cr += "q";
+    for (const right of ["wK", "wQ", "bK", "bQ"]) {
+      if (!this.castlingRights[right]) continue;
+      const color = right[0];
+      const rookSq = this.castlingRooks[right];
+      let flag = right[1];
+      if (
+        this.variant === "chess960" &&
+        rookSq !== this._outermostRook(this.board, color, right[1])
+      )
+        flag = "ABCDEFGH"[ChessEngine.col(rookSq)];
+      cr += color === "w" ? flag : flag.toLowerCase();
+    }
     fen += " " + (cr || "-");
     // En passant
     fen +=
@@ -1104,7 +1620,15 @@ class ChessEngine {
   /* ==================================================
      FEN LOADING
      ================================================== */
-  loadFEN(fen) {
+  /**
+   * Load a position. Castling accepts standard KQkq, X-FEN and
+   * Shredder-FEN (rook file letters). The variant is inferred unless
+   * given: file letters or non-standard king/rook squares mean Chess960.
+   * @param {string} fen
+   * @param {object} [options]
+   * @param {"standard"|"chess960"} [options.variant]
+   */
+  loadFEN(fen, options = {}) {
     const parts = fen.trim().split(/\s+/);
     if (parts.length < 4) throw new Error("Invalid FEN: too few parts");
 
@@ -1128,27 +1652,53 @@ class ChessEngine {
     this.board = b;
     this.turn = parts[1] === "b" ? "b" : "w";
 
-    const cr = parts[2];
-    this.castlingRights = {
-      wK: cr.includes("K"),
-      wQ: cr.includes("Q"),
-      bK: cr.includes("k"),
-      bQ: cr.includes("q"),
-    };
+    this.castlingRights = { wK: false, wQ: false, bK: false, bQ: false };
+    this.castlingRooks = { ...STANDARD_CASTLING_ROOKS };
+    let fileLetters = false;
+    for (const ch of parts[2] === "-" ? "" : parts[2]) {
+      const color = ch === ch.toUpperCase() ? "w" : "b";
+      const back = color === "w" ? 56 : 0;
+      let side = ch.toUpperCase();
+      let rookSq;
+      if (side === "K" || side === "Q") {
+        rookSq = this._outermostRook(b, color, side);
+      } else {
+        rookSq = back + side.charCodeAt(0) - 65;
+        side = rookSq > this.findKing(b, color) ? "K" : "Q";
+        fileLetters = true;
+      }
+      this.castlingRights[color + side] = true;
+      if (rookSq !== null) this.castlingRooks[color + side] = rookSq;
+    }
+    const standardSetup = ["wK", "wQ", "bK", "bQ"].every(
+      (right) =>
+        !this.castlingRights[right] ||
+        (this.castlingRooks[right] === STANDARD_CASTLING_ROOKS[right] &&
+          this.findKing(b, right[0]) === (right[0] === "w" ? 60 : 4)),
+    );
+    this.variant =
+      options.variant || (fileLetters || !standardSetup ? "chess960" : "standard");
+    this.startPosition = null;
 
     this.enPassantTarget = parts[3] === "-" ? null : this.algToSq(parts[3]);
     this.halfMoveClock = parseInt(parts[4] || "0");
     this.fullMoveNumber = parseInt(parts[5] || "1");
-    this.positionMap = {};
+    this._undoStack = [];
     this.moveHistory = [];
     this.gameOver = false;
     this.gameResult = null;
-    this._recordPosition();
+    this.startFEN = fen.trim();
+    this._computeHash();
+    this._hashHistory = [this.hash];
     return true;
   }
 }
 
-// Export globally
-window.ChessEngine = ChessEngine;
-window.PIECE_UNICODE = PIECE_UNICODE;
-window.PIECE_VALUES = PIECE_VALUES;
+// Browser globals for the classic scripts loaded by index.html
+if (typeof window !== "undefined") {
+  window.ChessEngine = ChessEngine;
+  window.PIECE_UNICODE = PIECE_UNICODE;
+  window.PIECE_VALUES = PIECE_VALUES;
+}
+
+export { ChessEngine, PIECE_UNICODE, PIECE_VALUES, PST, EVAL_WEIGHTS, EVAL_TERMS };
@@ -18,14 +18,16 @@ class FENManager {
 
   /**
    * Import FEN into engine. Throws on invalid FEN.
+   * Shredder-FEN and X-FEN castling fields load as Chess960.
    * @param {ChessEngine} engine
    * @param {string} fen
+   * @param {string} [variant]  - force 'standard' or 'chess960'
    */
-  static import(engine, fen) {
+  static import(engine, fen, variant) {
     if (!fen || typeof fen !== 'string') throw new Error('FEN must be a non-empty string');
     const trimmed = fen.trim();
     FENManager.validate(trimmed); // will throw if invalid
-    engine.loadFEN(trimmed);
+    engine.loadFEN(trimmed, { variant });
     return true;
   }
 
@@ -53,8 +55,14 @@ class FENManager {
     // Turn
     if (parts[1] !== 'w' && parts[1] !== 'b') throw new Error('FEN turn must be "w" or "b"');
 
-    // Castling
-    if (!/^[KQkq\-]{1,4}$/.test(parts[2])) throw new Error('Invalid FEN castling field');
+    // Castling: KQkq, X-FEN or Shredder-FEN (rook files A–H / a–h)
+    if (!/^(-|[KQA-Hkqa-h]{1,4})$/.test(parts[2])) throw new Error('Invalid FEN castling field');
+    for (const color of ['w', 'b']) {
+      const flags = parts[2].split('').filter(ch => ch !== '-' && (ch === ch.toUpperCase()) === (color === 'w'));
+      if (flags.length > 2) throw new Error('Too many castling rights for ' + (color === 'w' ? 'White' : 'Black'));
+      if (flags.length && !FENManager._hasKingOnBackRank(rows, color))
+        throw new Error('Castling rights without a king on the back rank');
+    }
 
     // En passant
     if (parts[3] !== '-' && !/^[a-h][36]$/.test(parts[3]))
@@ -63,6 +71,10 @@ class FENManager {
     return true;
   }
 
+  static _hasKingOnBackRank(rows, color) {
+    return rows[color === 'w' ? 7 : 0].includes(color === 'w' ? 'K' : 'k');
+  }
+
   /**
    * List of well-known FEN positions
    */
@@ -78,4 +90,6 @@ class FENManager {
   }
 }
 
-window.FENManager = FENManager;
+if (typeof window !== 'undefined') window.FENManager = FENManager;
+
+export { FENManager };
@@ -0,0 +1,174 @@
+/**
+ * WebChess Pro — Game Tree (game-tree.js)
+ * Moves as a tree for analysis: each node's first child continues its
+ * line and any further children are alternatives to that move
+ * (variations). The root holds the start position.
+ */
+
+'use strict';
+
+import { ChessEngine } from './engine.js';
+
+class GameTree {
+  /**
+   * @param {string} [startFEN]
+   * @param {string} [variant]  - 'standard' | 'chess960'
+   */
+  constructor(startFEN = ChessEngine.START_FEN, variant = 'standard') {
+    this.startFEN = startFEN;
+    this.variant  = variant;
+    this.tags     = {};   // an imported game's PGN tag pairs, written back on export
+    this._nextId  = 1;
+    this.root     = this._node(null, null);
+  }
+
+  /** A tree whose mainline is the engine's game */
+  static fromEngine(engine) {
+    const tree = new GameTree(engine.startFEN, engine.variant);
+    let node = tree.root;
+    for (const move of engine.moveHistory) node = tree._append(node, move);
+    return tree;
+  }
+
+  /** node: { id, move (makeMove record, null at the root), parent, children } */
+  _node(move, parent) {
+    return { id: this._nextId++, move, parent, children: [] };
+  }
+
+  _append(parent, move) {
+    const node = this._node(move, parent);
+    parent.children.push(node);
+    return node;
+  }
+
+  /* =====================================================
+     NAVIGATION
+     ===================================================== */
+
+  /** Nodes of the mainline, first move to last */
+  mainline() {
+    const line = [];
+    for (let node = this.root.children[0]; node; node = node.children[0]) line.push(node);
+    return line;
+  }
+
+  /** Nodes from the first move down to `node` */
+  path(node) {
+    const nodes = [];
+    for (let n = node; n.parent; n = n.parent) nodes.unshift(n);
+    return nodes;
+  }
+
+  /** Moves played to reach `node` (0 at the root) */
+  ply(node) {
+    let ply = 0;
+    for (let n = node; n.parent; n = n.parent) ply++;
+    return ply;
+  }
+
+  isMainline(node) {
+    for (let n = node; n.parent; n = n.parent) {
+      if (n.parent.children[0] !== n) return false;
+    }
+    return true;
+  }
+
+  /** Last node of the line `node` is on, following first children */
+  lineEnd(node) {
+    while (node.children.length) node = node.children[0];
+    return node;
+  }
+
+  /** Move number and side of a node's move, counted from the start position */
+  moveNumber(node) {
+    const [, side, , , , fullMove] = this.startFEN.split(/\s+/);
+    const half = this.ply(node) - 1 + (side === 'b' ? 1 : 0);
+    return { number: (parseInt(fullMove) || 1) + Math.floor(half / 2), white: half % 2 === 0 };
+  }
+
+  /**
+   * A fresh engine at the position after `node`. The path's moves are
+   * played with applyMoveFull(), so a repetition or the 50-move rule on the
+   * way doesn't stop the replay; a move that isn't legal there throws.
+   */
+  engineAt(node) {
+    const engine = new ChessEngine();
+    engine.loadFEN(this.startFEN, { variant: this.variant });
+    for (const n of this.path(node)) {
+      const { from, to, promoteTo, san } = n.move;
+      const move = engine.getLegalMoves(from)
+        .find(m => m.to === to && (!promoteTo || m.promoteTo === promoteTo));
+      if (!move) throw new Error(`Illegal move in the game tree: "${san || from + '-' + to}"`);
+      engine.applyMoveFull(move);
+    }
+    return engine;
+  }
+
+  /* =====================================================
+     EDITING
+     ===================================================== */
+
+  /**
+   * Play `move` ({ from, to, promoteTo }) after `parent`. An existing child
+   * with the same move is reused; otherwise the move becomes the line's
+   * continuation if there is none, or a new variation.
+   * @returns {?object} the node, or null if the move is illegal there
+   */
+  addMove(parent, move) {
+    const same = parent.children.find(n =>
+      n.move.from === move.from && n.move.to === move.to &&
+      (n.move.promoteTo || null) === (move.promoteTo || null)
+    );
+    if (same) return same;
+    const record = this.engineAt(parent).makeMove(move);
+    return record ? this._append(parent, record) : null;
+  }
+
+  /**
+   * Add an already played move record after `parent` as its next child
+   * (no legality check and no merging, for the PGN parser).
+   */
+  addRecord(parent, record) {
+    return this._append(parent, record);
+  }
+
+  /** Make the line through `node` the mainline */
+  promote(node) {
+    for (let n = node; n.parent; n = n.parent) {
+      const siblings = n.parent.children;
+      siblings.splice(siblings.indexOf(n), 1);
+      siblings.unshift(n);
+    }
+  }
+
+  /**
+   * Delete the variation `node` is on, from the move where it leaves its
+   * parent line. Mainline moves are kept.
+   * @returns {?object} the node the variation branched from, or null
+   */
+  deleteVariation(node) {
+    let start = node;
+    while (start.parent && start.parent.children[0] === start) start = start.parent;
+    if (!start.parent) return null;
+    const siblings = start.parent.children;
+    siblings.splice(siblings.indexOf(start), 1);
+    return start.parent;
+  }
+
+  /** A move record's move-quality NAG ($1–$6: ! ? !! ?? !? ?!), or 0 */
+  static qualityNag(move) {
+    return move?.nags?.find(nag => nag >= 1 && nag <= 6) || 0;
+  }
+
+  /** Whether `node` is still in the tree */
+  contains(node) {
+    for (let n = node; n.parent; n = n.parent) {
+      if (!n.parent.children.includes(n)) return false;
+    }
+    return true;
+  }
+}
+
+if (typeof window !== 'undefined') window.GameTree = GameTree;
+
+export { GameTree };
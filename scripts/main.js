@@ -62,23 +62,30 @@ class SoundEngine {
 const App = {
   engine:   new ChessEngine(),
   ai:       new ChessAI(),
+  external: null,       // UciEngine from a local script, kept for the session
   board:    null,
   timer:    null,
   ui:       new UIManager(),
   sound:    new SoundEngine(),
-  puzzle:   new PuzzleManager(),
+  puzzle:   new PuzzleManager(StorageManager),
   analysis: null,
+  review:   null,       // AnalysisManager.reviewGame() result for the finished game
+  pgnGames: null,       // last multi-game PGN: { name, games: [{ tags, pgn }], filter, sort, dir }
 
   mode:     'pvp',      // 'pvp' | 'pvai' | 'puzzle' | 'analysis'
   aiColor:  'b',        // which color the AI plays
   pendingPromotion: null,
   aiThinking: false,
+  aiScores:   [],       // the AI's search scores this game, from its side (resign / draw decisions)
+  aiDrawOfferMove: 0,   // move number of the AI's last draw offer
   prefs: StorageManager.getPrefs(),
 
   // Game config
   gameConfig: {
     mode:    'pvp',
-    aiDepth: 3,
+    variant: 'standard', // 'standard' | 'chess960'
+    aiLevel: 3,
+    aiPersonality: 'balanced',
     playerColor: 'w',
     timeSeconds: 600,
     increment: 0,
@@ -111,6 +118,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // Bind callbacks
   App.board.onSquareClick = sq => App._onSquareClick(sq);
   App.board.onDrop        = (from, to) => App._onDrop(from, to);
+  App.ai.onTablebase      = (sig, status, error) => App._onTablebase(sig, status, error);
+  App.ai.onError          = err => App.ui.toast(`AI search failed (${err.message})`, 'error');
 
   // Bind all buttons
   _bindUI();
@@ -155,7 +164,9 @@ function _bindUI() {
   // New game modal
   document.getElementById('btn-start-game')?.addEventListener('click', () => {
     const mode = document.querySelector('input[name="game-mode"]:checked')?.value || 'pvp';
-    const aiDepth = parseInt(document.getElementById('ai-difficulty')?.value || '3');
+    const variant = document.querySelector('input[name="variant"]:checked')?.value || 'standard';
+    const aiLevel = parseInt(document.getElementById('ai-difficulty')?.value || '3');
+    const aiPersonality = document.getElementById('ai-personality')?.value || 'balanced';
     const pColor = document.querySelector('input[name="player-color"]:checked')?.value || 'white';
     const timeMin = parseFloat(document.getElementById('custom-time-min')?.value || '10');
     const timeInc = parseInt(document.getElementById('custom-time-inc')?.value || '0');
@@ -164,7 +175,9 @@ function _bindUI() {
     App.ui.closeModal('modal-new-game');
     App._startNewGame({
       mode,
-      aiDepth,
+      variant,
+      aiLevel,
+      aiPersonality,
       playerColor: pColor === 'random' ? (Math.random() < 0.5 ? 'w' : 'b') : pColor[0],
       timeSeconds: Math.round(timeMin * 60),
       increment:   timeInc,
@@ -196,13 +209,23 @@ function _bindUI() {
     })
   );
 
-  // AI difficulty preset buttons
-  document.querySelectorAll('.diff-btn').forEach(btn =>
+  // AI strength level buttons
+  document.querySelectorAll('.diff-btn[data-level]').forEach(btn =>
     btn.addEventListener('click', () => {
-      document.querySelectorAll('.diff-btn').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('.diff-btn[data-level]').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
-      const depthInput = document.getElementById('ai-difficulty');
-      if (depthInput) depthInput.value = btn.dataset.depth;
+      const levelInput = document.getElementById('ai-difficulty');
+      if (levelInput) levelInput.value = btn.dataset.level;
+    })
+  );
+
+  // AI playing style buttons
+  document.querySelectorAll('.diff-btn[data-personality]').forEach(btn =>
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.diff-btn[data-personality]').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      const styleInput = document.getElementById('ai-personality');
+      if (styleInput) styleInput.value = btn.dataset.personality;
     })
   );
 
@@ -211,8 +234,13 @@ function _bindUI() {
     btn.addEventListener('click', () => App.ui.resolvePromotion(btn.dataset.piece))
   );
 
+  // Draw offer from the AI
+  document.getElementById('btn-draw-accept')?.addEventListener('click',  () => App.ui.resolveDrawOffer(true));
+  document.getElementById('btn-draw-decline')?.addEventListener('click', () => App.ui.resolveDrawOffer(false));
+
   // Game over
   document.getElementById('btn-review-game')?.addEventListener('click', () => {
+    if (!App.review) { App._reviewGame(); return; }
     App.ui.closeModal('modal-game-over');
     App._enterAnalysisMode();
   });
@@ -228,7 +256,8 @@ function _bindUI() {
 
   // PGN
   document.getElementById('btn-pgn-export')?.addEventListener('click', () => {
-    const pgn = PGNManager.export(App.engine, { white: App.gameConfig.whiteName, black: App.gameConfig.blackName });
+    const pgn = PGNManager.export(App.engine, { white: App.gameConfig.whiteName, black: App.gameConfig.blackName },
+      App.analysis?.gameTree(App.engine));
     const ta = document.getElementById('pgn-textarea');
     if (ta) ta.value = pgn;
     App.ui.toast('PGN exported!', 'success');
@@ -236,18 +265,29 @@ function _bindUI() {
   document.getElementById('btn-pgn-import')?.addEventListener('click', () => {
     const ta = document.getElementById('pgn-textarea');
     if (!ta?.value.trim()) { App.ui.toast('Paste PGN first', 'warning'); return; }
-    try {
-      App.timer.stop();
-      const result = PGNManager.import(App.engine, ta.value);
-      App.mode = 'analysis';
-      App._renderAfterMove(null);
-      App.ui.toast(`Imported ${result.applied.length} moves`, 'success');
-      App._enterAnalysisMode();
-    } catch (e) {
-      App.ui.toast('Invalid PGN: ' + e.message, 'error');
-      App.sound.error();
-    }
+    App._openPGN(ta.value, 'Pasted PGN');
   });
+  const pgnInput = document.getElementById('pgn-file-input');
+  document.getElementById('btn-pgn-open')?.addEventListener('click', () => pgnInput?.click());
+  pgnInput?.addEventListener('change', async () => {
+    await App._loadPGNFile(pgnInput.files[0]);
+    pgnInput.value = '';
+  });
+  document.getElementById('btn-pgn-games')?.addEventListener('click', () => App._showGameList());
+  document.getElementById('pgn-games-filter')?.addEventListener('input', e => {
+    if (!App.pgnGames) return;
+    App.pgnGames.filter = e.target.value;
+    App._renderGameList();
+  });
+  document.querySelectorAll('.pgn-games-table th[data-sort]').forEach(th =>
+    th.addEventListener('click', () => {
+      const list = App.pgnGames;
+      if (!list) return;
+      list.dir  = list.sort === th.dataset.sort ? -list.dir : 1;
+      list.sort = th.dataset.sort;
+      App._renderGameList();
+    })
+  );
 
   // FEN
   document.getElementById('btn-fen-export')?.addEventListener('click', () => {
@@ -262,6 +302,7 @@ function _bindUI() {
     if (!inp?.value.trim()) { App.ui.toast('Paste FEN first', 'warning'); return; }
     try {
       App.timer.stop();
+      App._cancelAI();
       FENManager.import(App.engine, inp.value);
       App.mode = 'pvp';
       App._renderAfterMove(null);
@@ -279,6 +320,7 @@ function _bindUI() {
       if (inp) inp.value = fen;
       try {
         App.timer.stop();
+        App._cancelAI();
         FENManager.import(App.engine, fen);
         App.mode = 'pvp';
         App._renderAfterMove(null);
@@ -295,6 +337,15 @@ function _bindUI() {
   document.getElementById('btn-next-move')?.addEventListener('click',   () => App._analysisNav('next'));
   document.getElementById('btn-goto-end')?.addEventListener('click',    () => App._analysisNav('end'));
   document.getElementById('btn-autoplay')?.addEventListener('click',    () => App._toggleAutoplay());
+  document.getElementById('btn-promote-variation')?.addEventListener('click', () => App._promoteVariation());
+  document.getElementById('btn-delete-variation')?.addEventListener('click',  () => App._deleteVariation());
+  document.getElementById('pv-count-select')?.addEventListener('change', e => {
+    App.prefs.analysisLines = parseInt(e.target.value) || 3;
+    StorageManager.savePrefs(App.prefs);
+    if (App.analysis) App.analysis.multiPV = App.prefs.analysisLines;
+    if (App.mode === 'analysis') App._analyzeViewed();
+  });
+  document.getElementById('btn-eval-graph-svg')?.addEventListener('click', () => App._exportEvalGraph());
 
   // Puzzle buttons
   document.getElementById('btn-next-puzzle')?.addEventListener('click',    () => App._loadNextPuzzle());
@@ -350,6 +401,50 @@ function _bindUI() {
     });
   });
 
+  // Opening book (Polyglot .bin chosen by the user, kept for this session)
+  const bookInput = document.getElementById('book-file-input');
+  document.getElementById('btn-book-load')?.addEventListener('click', () => bookInput?.click());
+  bookInput?.addEventListener('change', async () => {
+    await App._loadBook(bookInput.files[0]);
+    bookInput.value = '';
+  });
+  document.getElementById('btn-book-clear')?.addEventListener('click', () => {
+    App.ai.book = null;
+    App._updateBookStatus();
+    App.ui.toast('Opening book removed', 'info');
+  });
+  document.getElementById('book-mode-select')?.addEventListener('change', e => {
+    App.prefs.bookMode = e.target.value;
+    App.ai.bookMode = App.prefs.bookMode;
+    StorageManager.savePrefs(App.prefs);
+  });
+  // External UCI engine (script chosen by the user, kept for this session)
+  const engineInput = document.getElementById('engine-file-input');
+  document.getElementById('btn-engine-load')?.addEventListener('click', () => engineInput?.click());
+  engineInput?.addEventListener('change', async () => {
+    await App._loadExternalEngine(engineInput.files[0]);
+    engineInput.value = '';
+  });
+  document.getElementById('btn-engine-clear')?.addEventListener('click', () => {
+    App._removeExternalEngine();
+    App._onEnginesChanged();
+    App.ui.toast('External engine removed', 'info');
+  });
+  document.querySelectorAll('[data-engine-role]').forEach(sel =>
+    sel.addEventListener('change', () => {
+      App.prefs[sel.dataset.engineRole + 'Engine'] = sel.value;
+      StorageManager.savePrefs(App.prefs);
+      App._onEnginesChanged();
+    })
+  );
+  document.getElementById('book-depth-input')?.addEventListener('change', e => {
+    const depth = Math.max(1, Math.min(40, parseInt(e.target.value) || 10));
+    e.target.value = depth;
+    App.prefs.bookDepth = depth;
+    App.ai.bookDepth = depth;
+    StorageManager.savePrefs(App.prefs);
+  });
+
   // Save prefs modal close
   document.querySelector('[data-modal="modal-settings"]')?.addEventListener('click', () => {
     StorageManager.savePrefs(App.prefs);
@@ -385,15 +480,18 @@ function _bindUI() {
     if (e.key === 'f' || e.key === 'F') App._flipBoard();
     if (e.key === 'u' || e.key === 'U') App._undo();
     if (e.key === 'n' || e.key === 'N') App.ui.openModal('modal-new-game');
-    if (e.key === 'Escape') document.querySelectorAll('.modal-overlay').forEach(m => m.style.display = 'none');
+    if (e.key === 'Escape') {
+      App.ui.resolveDrawOffer(false);
+      document.querySelectorAll('.modal-overlay').forEach(m => m.style.display = 'none');
+    }
   });
 
   // Click outside modal to close
   document.querySelectorAll('.modal-overlay').forEach(overlay =>
     overlay.addEventListener('click', e => {
-      if (e.target === overlay && overlay.id !== 'modal-promotion') {
-        overlay.style.display = 'none';
-      }
+      if (e.target !== overlay || overlay.id === 'modal-promotion') return;
+      if (overlay.id === 'modal-draw-offer') App.ui.resolveDrawOffer(false);
+      else overlay.style.display = 'none';
     })
   );
 }
@@ -420,6 +518,17 @@ function _loadPrefsIntoModal() {
   setCheck('opt-animate',        p.animate);
   setCheck('opt-sound',          p.sound);
   App.sound.enabled = p.sound !== false;
+
+  App.ai.bookMode  = p.bookMode  || 'weighted';
+  App.ai.bookDepth = p.bookDepth || 10;
+  const bookMode  = document.getElementById('book-mode-select');
+  const bookDepth = document.getElementById('book-depth-input');
+  if (bookMode)  bookMode.value  = App.ai.bookMode;
+  if (bookDepth) bookDepth.value = App.ai.bookDepth;
+  App._updateBookStatus();
+  App._onEnginesChanged();
+  const pvCount = document.getElementById('pv-count-select');
+  if (pvCount) pvCount.value = p.analysisLines || 3;
   const soundBtn = document.getElementById('btn-sound');
   if (soundBtn) {
     soundBtn.textContent = App.sound.enabled ? '🔊' : '🔇';
@@ -443,23 +552,28 @@ App._startNewGame = function(config) {
   const gc = App.gameConfig;
 
   // Stop any running AI/timer
-  App.ai.stop();
+  App._cancelAI();
   App.timer.stop();
-  App.aiThinking = false;
   App.analysis?.deactivate();
+  if (App.analysis) App.analysis.tree = null;   // drop the last game's variations and PGN tags
+  App.ui.resolveDrawOffer(false);
+  App.review   = null;
+  App.aiScores = [];
+  App.aiDrawOfferMove = 0;
 
-  // Reset engine
-  App.engine.reset();
+  // Reset engine (Chess960 draws a random start position)
+  App.engine.reset({ variant: gc.variant });
 
   // Set AI
   App.mode     = gc.mode;
   App.aiColor  = gc.playerColor === 'w' ? 'b' : 'w';
-  App.ai.setDifficulty(gc.aiDepth || 3);
+  App.ai.setDifficulty(gc.aiLevel || 3);
+  App.ai.setPersonality(gc.aiPersonality);
+  App.external?.setDifficulty(gc.aiLevel || 3);
 
-  // Set player names
+  // Set player names; the AI's card shows its level and rating
   App.ui.setPlayerNames(gc.whiteName || 'White', gc.blackName || 'Black');
-  document.getElementById('player-white-elo').textContent = gc.mode === 'pvai' ? '1500' : '';
-  document.getElementById('player-black-elo').textContent = gc.mode === 'pvai' ? 'AI ('+ (gc.aiDepth || 3) + ')' : '';
+  App._updateAiCard();
 
   // Setup timer
   App.timer.setup(gc.timeSeconds || 0, gc.increment || 0);
@@ -484,6 +598,9 @@ App._startNewGame = function(config) {
   App._updateStatus();
   App.ui.updateCaptured([], [], 0);
   App.ui.setCheckClass(false);
+  if (App.engine.variant === 'chess960') {
+    App.ui.toast(`Chess960 position #${App.engine.startPosition}`, 'info');
+  }
 
   // Start timer for white
   if (App.timer.enabled) {
@@ -502,8 +619,8 @@ App._startNewGame = function(config) {
 App._onSquareClick = function(sq) {
   if (App.aiThinking) return;
 
-  // Analysis mode: just navigate
-  if (App.mode === 'analysis') return;
+  // Analysis mode: moves go into the game tree
+  if (App.mode === 'analysis') { App._onAnalysisClick(sq); return; }
 
   // Puzzle mode
   if (App.mode === 'puzzle') {
@@ -535,7 +652,8 @@ App._onSquareClick = function(sq) {
       App._renderBoard(App.engine.board);
       return;
     }
-    if (piece && piece[0] === App.engine.turn) {
+    // Own piece that is not a target (Chess960 castling targets the own rook)
+    if (piece && piece[0] === App.engine.turn && !App.board.legalTargets.includes(sq)) {
       // Switch selection to new piece
       App.board.setSelection(sq, App.engine.getLegalMoves(sq).map(m => m.to));
       App._renderBoard(App.engine.board);
@@ -549,8 +667,8 @@ App._onSquareClick = function(sq) {
    DROP HANDLER
    ================================================================= */
 App._onDrop = function(from, to) {
+  if (App.mode === 'analysis') { App._playAnalysisMove(from, to); return; }
   if (App.aiThinking || App.engine.gameOver) return;
-  if (App.mode === 'analysis') return;
   if (App.mode === 'pvai' && App.engine.turn === App.aiColor) return;
   if (App.mode === 'puzzle') { App._handlePuzzleMove(from, to); return; }
   App.board.setSelection(from, []);
@@ -621,15 +739,7 @@ App._renderAfterMove = function(moveResult, movedColor) {
   App.ui.updateCaptured(cap.byCapturedByWhite, cap.capturedByBlack, mat.diff);
 
   // Move list
-  App.ui.updateMoveList(engine.moveHistory, idx => {
-    if (App.mode !== 'analysis') return;
-    App.analysis.viewedMove = idx;
-    const b = App.analysis.getBoardAtCurrentMove(engine);
-    App._renderBoard(b);
-    App.ui.highlightMoveInList(idx);
-    const evalScore = App.analysis.getEvaluation(engine);
-    App.ui.setEval(evalScore, engine);
-  }, engine.moveHistory.length - 1);
+  App.ui.updateMoveList(engine.moveHistory, idx => App._analysisNav('ply', idx), engine.moveHistory.length - 1);
 
   // Check indicator
   const inCheck = engine.isInCheck(engine.board, engine.turn);
@@ -683,6 +793,8 @@ App._updateStatus = function() {
   const inCheck = engine.isInCheck(engine.board, engine.turn);
   let txt = `${turn}'s turn`;
   if (App.mode === 'pvai' && engine.turn === App.aiColor) txt += ' (AI thinking…)';
+  const last = engine.moveHistory[engine.moveHistory.length - 1];
+  if (last && last.book) txt += ` — ${last.san} (book)`;
   if (inCheck) txt += ' — Check!';
   App.ui.setStatus(txt);
 };
@@ -709,14 +821,20 @@ App._handleGameOver = function() {
     playerColor: gc.playerColor
   });
 
+  const opponent = gc.mode === 'pvai' ? App._engineFor('opponent') : null;
+  const aiElo    = opponent ? opponent.strength.elo : null;
   StorageManager.addToHistory({
     white:  gc.whiteName,
     black:  gc.blackName,
+    whiteElo: App.aiColor === 'w' ? aiElo : null,
+    blackElo: App.aiColor === 'b' ? aiElo : null,
+    aiLevel:  opponent ? opponent.level : null,
     mode:   gc.mode,
     result: myResult,
     reason: result.reason
   });
 
+  App.review = null;
   setTimeout(() => App.ui.showGameOver(result, App.engine), 500);
 };
 
@@ -730,13 +848,18 @@ App._triggerAI = async function() {
   App.aiThinking = true;
   App._updateStatus();
 
-  // Small delay so UI updates first
-  await new Promise(r => setTimeout(r, 50));
-
-  const move = await App.ai.getBestMoveAsync(App.engine, null);
+  // Search runs in a worker; drop the result if the position moved on
+  const hash = App.engine.hash;
+  const ai   = App._engineFor('opponent');
+  const move = await ai.getBestMoveAsync(App.engine, null, App._aiLimits());
+  if (!App.aiThinking) return; // cancelled
   App.aiThinking = false;
 
-  if (!move || App.engine.gameOver) { App._updateStatus(); return; }
+  if (!move || App.engine.gameOver || App.engine.hash !== hash) { App._updateStatus(); return; }
+
+  // Hopelessly lost for several moves: resign instead of moving
+  if (!ai.fromBook) App.aiScores.push(App.aiColor === 'w' ? ai.lastScore : -ai.lastScore);
+  if (ChessAI.resigns(App.aiScores)) { App._aiResigns(); return; }
 
   // Determine promotion (always queen for AI)
   if (App.engine.getLegalMoves(move.from).some(m => m.to === move.to && m.promoteTo)) {
@@ -747,6 +870,7 @@ App._triggerAI = async function() {
   const color   = piece ? piece[0] : App.aiColor;
   const result  = App.engine.makeMove(move);
   if (!result) return;
+  result.book = ai.fromBook;
 
   // Sound
   if (result.type === 'castleKing' || result.type === 'castleQueen') App.sound.castling();
@@ -756,6 +880,233 @@ App._triggerAI = async function() {
 
   if (App.timer.enabled) App.timer.switch(color);
   App._renderAfterMove(result, color);
+  App._aiOfferDraw();
+};
+
+/** Offer the human a draw in a dead-equal endgame, at most every 10 moves */
+App._aiOfferDraw = async function() {
+  const engine = App.engine;
+  if (engine.gameOver || engine.fullMoveNumber - App.aiDrawOfferMove < 10) return;
+  if (!ChessAI.offersDraw(engine, App.aiScores)) return;
+  App.aiDrawOfferMove = engine.fullMoveNumber;
+  const hash     = engine.hash;
+  const accepted = await App.ui.showDrawOffer();
+  if (engine.gameOver || engine.hash !== hash) return;
+  if (accepted) App._drawByAgreement();
+  else App.ui.toast('Draw declined — play on', 'info');
+};
+
+/** The AI gives up: the human wins by resignation */
+App._aiResigns = function() {
+  App.engine.gameOver  = true;
+  App.engine.gameResult = { winner: App.aiColor === 'w' ? 'b' : 'w', reason: 'resignation' };
+  App.timer.stop();
+  App.sound.gameOver();
+  App.ui.toast('The AI resigns', 'success');
+  App._updateStatus();
+  App._handleGameOver();
+};
+
+/**
+ * Search limits for the AI's move: the level's depth in untimed games,
+ * otherwise a time budget from the AI's remaining clock and increment
+ * (weaker levels stay capped in depth however much time they have).
+ */
+App._aiLimits = function() {
+  const ai = App._engineFor('opponent');
+  if (!App.timer.enabled) return { depth: ai.depth };
+  const c = App.aiColor;
+  return {
+    depth:    ai.strength.maxDepth,
+    movetime: ChessAI.allocateTime(App.timer.times[c] * 1000, App.timer.inc[c] * 1000, App.engine.fullMoveNumber)
+  };
+};
+
+App._updateAiCard = function() {
+  const aiRating = App.gameConfig.mode === 'pvai' ? App._aiRatingLabel() : '';
+  document.getElementById('player-white-elo').textContent = App.aiColor === 'w' ? aiRating : '';
+  document.getElementById('player-black-elo').textContent = App.aiColor === 'b' ? aiRating : '';
+};
+
+/**
+ * Player-card text for the AI, e.g. "Club · 1200" or "Club · 1200 · Trappy"
+ * (an external engine without UCI_Elo: its name)
+ */
+App._aiRatingLabel = function() {
+  const ai = App._engineFor('opponent');
+  const { name, elo } = ai.strength;
+  const style = ai === App.ai && ChessAI.PERSONALITIES.find(p => p.id === ai.personality && p.id !== 'balanced');
+  return [name, elo, style?.name].filter(Boolean).join(' · ');
+};
+
+/**
+ * Engine for a role — 'analysis', 'hint' or 'opponent' — as chosen in
+ * Settings; the built-in AI unless an external engine is loaded and picked.
+ */
+App._engineFor = function(role) {
+  const external = App.external && !App.external.dead ? App.external : null;
+  return external && App.prefs[role + 'Engine'] === 'external' ? external : App.ai;
+};
+
+/** Start an external UCI engine from a local script file */
+App._loadExternalEngine = async function(file) {
+  if (!file) return;
+  const status = document.getElementById('engine-status');
+  if (status) status.textContent = 'Starting engine…';
+  try {
+    const engine = await UciEngine.load(file);
+    App._removeExternalEngine();
+    engine.setDifficulty(App.ai.level);
+    engine.onError = err => App._onExternalEngineDied(engine, err);
+    App.external = engine;
+    App.ui.toast(`${engine.name} loaded`, 'success');
+  } catch (e) {
+    App.ui.toast('Could not start engine: ' + e.message, 'error');
+    App.sound.error();
+  }
+  App._onEnginesChanged();
+};
+
+App._removeExternalEngine = function() {
+  if (!App.external) return;
+  if (App._engineFor('opponent') === App.external) App._cancelAI();
+  App.external.terminate();
+  App.external = null;
+};
+
+/** The external engine's worker failed mid-session: drop it and carry on with the built-in AI */
+App._onExternalEngineDied = function(engine, err) {
+  if (App.external !== engine) return;
+  const wasThinking = App.aiThinking && App.prefs.opponentEngine === 'external';
+  App.ui.toast(`${engine.name} stopped (${err.message}) — using the built-in AI`, 'error');
+  App.sound.error();
+  if (wasThinking) App._cancelAI();
+  App._removeExternalEngine();
+  App._onEnginesChanged();
+  // After the dead search's caller has seen the cancel
+  if (wasThinking && App.mode === 'pvai') setTimeout(() => App._triggerAI(), 0);
+};
+
+/** Refresh the settings row, and move a running analysis onto its engine */
+App._onEnginesChanged = function() {
+  const status = document.getElementById('engine-status');
+  const clear  = document.getElementById('btn-engine-clear');
+  if (status) status.textContent = App.external ? App.external.name : 'Built-in AI only';
+  if (clear)  clear.disabled = !App.external;
+  document.querySelectorAll('[data-engine-role]').forEach(sel => {
+    sel.value = App.prefs[sel.dataset.engineRole + 'Engine'] || 'builtin';
+    sel.disabled = !App.external;
+  });
+  App._updateAiCard();
+  if (App.mode === 'analysis' && App.analysis && App.analysis.ai !== App._engineFor('analysis')) {
+    App.analysis.ai.stop();
+    App.analysis.ai = App._engineFor('analysis');
+    App._analyzeViewed();
+  }
+};
+
+/** Read a Polyglot .bin file into the AI's opening book */
+App._loadBook = async function(file) {
+  if (!file) return;
+  try {
+    App.ai.book = new PolyglotBook(await file.arrayBuffer(), file.name);
+    App.ui.toast(`Opening book loaded (${App.ai.book.count} entries)`, 'success');
+  } catch (e) {
+    App.ui.toast('Invalid book: ' + e.message, 'error');
+    App.sound.error();
+  }
+  App._updateBookStatus();
+};
+
+App._updateBookStatus = function() {
+  const book   = App.ai.book;
+  const status = document.getElementById('book-status');
+  const clear  = document.getElementById('btn-book-clear');
+  if (status) status.textContent = book ? `${book.name || 'Book'} — ${book.count} entries` : 'No book loaded';
+  if (clear)  clear.disabled = !book;
+};
+
+/** Cancel any AI search in flight (new game, undo, mode switch) */
+App._cancelAI = function() {
+  App.ai.stop();
+  App.external?.stop();
+  App.aiThinking = false;
+};
+
+/* =================================================================
+   PGN FILES
+   ================================================================= */
+App._loadPGNFile = async function(file) {
+  if (!file) return;
+  try {
+    App._openPGN(await file.text(), file.name);
+  } catch (e) {
+    App.ui.toast('Could not read file: ' + e.message, 'error');
+    App.sound.error();
+  }
+};
+
+/**
+ * Pasted or loaded PGN: a single game goes to analysis, several open the
+ * game list (unreadable ones included, so the file's numbering holds)
+ */
+App._openPGN = function(text, name) {
+  let games;
+  try {
+    games = PGNManager.splitGames(text);
+    if (!games.length) throw new Error('no games found');
+  } catch (e) {
+    App.ui.toast('Invalid PGN: ' + e.message, 'error');
+    App.sound.error();
+    return;
+  }
+  if (games.length === 1) { App._importPGN(games[0].pgn); return; }
+
+  App.pgnGames = { name, games, filter: '', sort: null, dir: 1 };
+  const filter = document.getElementById('pgn-games-filter');
+  if (filter) filter.value = '';
+  const btn = document.getElementById('btn-pgn-games');
+  if (btn) btn.disabled = false;
+  App._showGameList();
+  const bad = games.filter(game => game.error).length;
+  if (bad) App.ui.toast(`${bad} unreadable game(s), greyed out in the list`, 'warning');
+};
+
+App._showGameList = function() {
+  if (!App.pgnGames) return;
+  App._renderGameList();
+  App.ui.openModal('modal-pgn-games');
+};
+
+App._renderGameList = function() {
+  App.ui.renderGameList(App.pgnGames, index => {
+    if (App._importPGN(App.pgnGames.games[index].pgn)) App.ui.closeModal('modal-pgn-games');
+  });
+};
+
+/** Load one game into analysis, players named from its tags. @returns {boolean} success */
+App._importPGN = function(pgn) {
+  try {
+    App.timer.stop();
+    App._cancelAI();
+    const result = PGNManager.import(App.engine, pgn);
+    if (!App.analysis) App.analysis = new AnalysisManager(App.engine, App.ai);
+    App.analysis.tree = result.tree;   // keeps the PGN's variations and comments
+    App.review = null;
+    App.mode = 'analysis';
+    const name = tag => (tag && tag !== '?' ? tag : '');
+    App.gameConfig.whiteName = name(result.tags.White) || 'White';
+    App.gameConfig.blackName = name(result.tags.Black) || 'Black';
+    App.ui.setPlayerNames(App.gameConfig.whiteName, App.gameConfig.blackName);
+    App._renderAfterMove(null);
+    App.ui.toast(`Imported ${result.applied.length} moves`, 'success');
+    App._enterAnalysisMode();
+    return true;
+  } catch (e) {
+    App.ui.toast('Invalid PGN: ' + e.message, 'error');
+    App.sound.error();
+    return false;
+  }
 };
 
 /* =================================================================
@@ -776,8 +1127,10 @@ App._onTimerFlag = function(flagColor) {
 App._resign = function() {
   if (App.engine.gameOver) return;
   if (!confirm('Resign this game?')) return;
-  const loser  = App.engine.turn;
+  // Against the AI the human resigns, even while the AI is thinking
+  const loser  = App.mode === 'pvai' ? (App.aiColor === 'w' ? 'b' : 'w') : App.engine.turn;
   const winner = loser === 'w' ? 'b' : 'w';
+  App._cancelAI();
   App.engine.gameOver  = true;
   App.engine.gameResult = { winner, reason: 'resignation' };
   App.timer.stop();
@@ -787,19 +1140,45 @@ App._resign = function() {
 
 App._offerDraw = function() {
   if (App.engine.gameOver) return;
+  if (App.mode === 'pvai') { App._offerDrawToAI(); return; }
   if (!confirm('Claim draw? (Use for 50-move rule or threefold repetition)')) return;
+  App._drawByAgreement();
+};
+
+/**
+ * The AI weighs the human's offer on its recent search scores, the move
+ * number and material (ChessAI.acceptsDraw).
+ */
+App._offerDrawToAI = function() {
+  if (!confirm('Offer the AI a draw?')) return;
+  if (App.engine.gameOver) return;
+  if (!ChessAI.acceptsDraw(App.engine, App.aiColor, App.aiScores)) {
+    App.ui.toast('The AI declines the draw offer', 'info');
+    return;
+  }
+  App._cancelAI();
+  App.ui.toast('The AI accepts the draw', 'success');
+  App._drawByAgreement();
+};
+
+App._drawByAgreement = function() {
   App.engine.gameOver  = true;
   App.engine.gameResult = { winner: null, reason: 'agreement' };
   App.timer.stop();
+  App._updateStatus();
   App._handleGameOver();
 };
 
 App._undo = function() {
   if (App.engine.gameOver) return;
   if (App.engine.moveHistory.length === 0) { App.ui.toast('No moves to undo', 'info'); return; }
-  // In pvai mode, undo two moves (AI + player)
+  // In pvai mode, undo two moves (AI + player); while the AI is still
+  // thinking only the player's move is on the board
+  const wasThinking = App.aiThinking;
+  App._cancelAI();
   App.engine.undoMove();
-  if (App.mode === 'pvai' && App.engine.moveHistory.length > 0) App.engine.undoMove();
+  if (App.mode === 'pvai' && !wasThinking && App.engine.moveHistory.length > 0) App.engine.undoMove();
+  App.aiScores = [];   // resign / draw decisions start over from here
   App.board.clearSelection();
   App.board.lastMove = null;
   App.board.checkSq  = null;
@@ -814,6 +1193,7 @@ App._undo = function() {
   const evalScore = App.engine.evaluate();
   App.ui.setEval(evalScore, App.engine);
   App.ui.toast('Move undone', 'info');
+  if (App.mode === 'pvai' && App.engine.turn === App.aiColor) setTimeout(() => App._triggerAI(), 300);
 };
 
 App._flipBoard = function() {
@@ -825,9 +1205,11 @@ App._flipBoard = function() {
   );
 };
 
-App._showHint = function() {
-  if (App.engine.gameOver || App.mode === 'analysis') return;
-  const move = App.ai.getHint(App.engine);
+App._showHint = async function() {
+  if (App.engine.gameOver || App.mode === 'analysis' || App.aiThinking) return;
+  const hash = App.engine.hash;
+  const move = await App._engineFor('hint').getHintAsync(App.engine);
+  if (App.engine.hash !== hash || App.aiThinking) return; // position moved on
   if (!move) { App.ui.toast('No hint available', 'info'); return; }
   App.board.hintSqs  = move;
   App._renderBoard(App.engine.board);
@@ -839,34 +1221,219 @@ App._showHint = function() {
 /* =================================================================
    ANALYSIS MODE
    ================================================================= */
+
+/** Review the finished game: grade every move and show accuracy in the game-over modal */
+App._reviewGame = async function() {
+  App._cancelAI();
+  if (!App.analysis) App.analysis = new AnalysisManager(App.engine, App.ai);
+  App.analysis.ai = App._engineFor('analysis');
+  App.ui.setReviewButton('Reviewing…', true);
+
+  const review = await App.analysis.reviewGame(App.engine, (done, total) =>
+    App.ui.setReviewButton(`Reviewing ${done}/${total}`, true));
+  if (!review) {
+    App.ui.setReviewButton('Review Game');
+    App.ui.toast('Review interrupted', 'warning');
+    return;
+  }
+  App.review = review;
+  App.ui.showReviewSummary(review, App.gameConfig.whiteName, App.gameConfig.blackName);
+  App.ui.updateMoveList(App.engine.moveHistory, null, App.engine.moveHistory.length - 1);
+  if (document.getElementById('modal-game-over')?.style.display !== 'flex') {
+    const { w, b } = review.players;
+    App.ui.toast(`Review done: White ${w.accuracy?.toFixed(1) ?? '–'}%, Black ${b.accuracy?.toFixed(1) ?? '–'}%`, 'success');
+  }
+};
+
 App._enterAnalysisMode = function() {
   App.timer.pause();
+  App._cancelAI();
   App.mode = 'analysis';
   App.ui.setActiveMode('analysis');
   App.ui.showReplayControls(true);
   if (!App.analysis) {
     App.analysis = new AnalysisManager(App.engine, App.ai);
   }
+  App.analysis.multiPV = App.prefs.analysisLines || 3;
+  App.analysis.ai      = App._engineFor('analysis');
   App.analysis.activate();
-  App.analysis.viewedMove = App.engine.moveHistory.length - 1;
-  const b = App.analysis.getBoardAtCurrentMove(App.engine);
   App.board.clearSelection();
-  App.board.lastMove = App.engine.moveHistory.length > 0
-    ? { from: App.engine.moveHistory[App.engine.moveHistory.length - 1].from, to: App.engine.moveHistory[App.engine.moveHistory.length - 1].to }
-    : null;
-  App.board.checkSq = null;
-  App._renderBoard(b);
-  App.ui.updateMoveList(App.engine.moveHistory, idx => {
-    App.analysis.viewedMove = idx;
-    const board = App.analysis.getBoardAtCurrentMove(App.engine);
-    App._renderBoard(board);
-    App.ui.highlightMoveInList(idx);
-    App.ui.setEval(App.analysis.getEvaluation(App.engine), App.engine);
-  }, App.engine.moveHistory.length - 1);
+  App._updateMoveTree();
+  App._buildEvalGraph();
+  App._showViewedPosition();
   App.ui.toast('Analysis mode activated', 'info');
 };
 
-App._analysisNav = function(dir) {
+/** Board, move-list highlight, graph cursor and eval bar for the viewed analysis position */
+App._showViewedPosition = function() {
+  const node = App.analysis.node;
+  const b    = App.analysis.getBoardAtCurrentMove(App.engine);
+  App.board.lastMove = node.move ? { from: node.move.from, to: node.move.to } : null;
+  App.board.checkSq  = null;
+  App._renderBoard(b);
+  App.ui.highlightMoveInList(node);
+  App.ui.highlightEvalGraph(App.analysis.viewedMove);
+  App.ui.setVariationButtons(!App.analysis.tree.isMainline(node));
+  App.ui.setEval(App.analysis.getEvaluation(App.engine), App.engine);
+  App._analyzeViewed();
+};
+
+/** Move list in analysis: the game tree with its variations */
+App._updateMoveTree = function() {
+  App.ui.updateMoveList(App.analysis.tree, node => App._analysisNav('node', node), App.analysis.node);
+};
+
+/** Select a piece or play a move on the viewed analysis position */
+App._onAnalysisClick = function(sq) {
+  const pos   = App.analysis.viewedPosition();
+  const from  = App.board.selectedSq;
+  const piece = pos.board[sq];
+  if (from !== null && from !== sq && App.board.legalTargets.includes(sq)) {
+    App._playAnalysisMove(from, sq);
+    return;
+  }
+  if (from === sq || !piece || piece[0] !== pos.turn) App.board.clearSelection();
+  else App.board.setSelection(sq, pos.getLegalMoves(sq).map(m => m.to));
+  App._renderBoard(pos.board);
+};
+
+/** Play a move from the viewed position into the game tree */
+App._playAnalysisMove = async function(from, to) {
+  const pos   = App.analysis.viewedPosition();
+  const legal = pos.getLegalMoves(from).filter(m => m.to === to);
+  App.board.clearSelection();
+  if (legal.length === 0) {
+    App.sound.error();
+    App._renderBoard(pos.board);
+    return;
+  }
+  let promoteTo = null;
+  if (legal.some(m => m.promoteTo)) {
+    const choice = await App.ui.showPromotion(pos.turn);
+    promoteTo = pos.turn + choice.toUpperCase();
+  }
+  if (App.mode !== 'analysis' || App.analysis.viewedPosition() !== pos) return;   // moved on meanwhile
+
+  const node = App.analysis.playMove({ from, to, promoteTo }, App.engine);
+  if (!node) { App.sound.error(); App._renderBoard(pos.board); return; }
+  const move = node.move;
+  if (move.type === 'castleKing' || move.type === 'castleQueen') App.sound.castling();
+  else if (move.captured || move.type === 'enPassant') App.sound.capture();
+  else App.sound.move();
+  if (move.isCheck) App.sound.check();
+  App._onTreeChanged();
+};
+
+/** Promote the viewed variation to the mainline, which becomes the game */
+App._promoteVariation = function() {
+  if (App.mode !== 'analysis' || App.analysis.tree.isMainline(App.analysis.node)) return;
+  if (App.analysis.gameFinished(App.engine) &&
+      !confirm('Replace the finished game\'s moves with this variation? The game\'s result will be dropped.')) return;
+  App.analysis.promoteVariation(App.engine);
+  App._onTreeChanged();
+  App.ui.toast('Variation promoted to mainline', 'success');
+};
+
+App._deleteVariation = function() {
+  if (App.mode !== 'analysis' || !App.analysis.deleteVariation()) return;
+  App._onTreeChanged();
+  App.ui.toast('Variation deleted', 'info');
+};
+
+/** Redraw after the game tree changed; if its mainline (the game) changed, rescore the graph */
+App._onTreeChanged = function() {
+  App._updateMoveTree();
+  if (App.analysis.curve?.key !== AnalysisManager.curveKey(App.engine)) {
+    App.review = null;
+    const cap = App.engine.getCaptured();
+    App.ui.updateCaptured(cap.byCapturedByWhite, cap.capturedByBlack, App.engine.getMaterialBalance().diff);
+    App._updateStatus();
+    App._buildEvalGraph();
+  }
+  App._showViewedPosition();
+};
+
+/** Refine the eval bar and fill the engine lines with a background search of the viewed position */
+App._analyzeViewed = function() {
+  App.ui.clearEngineLines();
+  App.analysis.analyze(res => {
+    App.ui.setEval(res.score, App.engine, res.tablebase);
+    const lines = App.analysis.describeLines(res.lines || []);
+    App.ui.renderEngineLines(lines, res.depth, move => App._previewLine(move));
+  });
+};
+
+/** Score the game's positions (unless already known) and draw the eval graph */
+App._buildEvalGraph = async function() {
+  App.ui.setEvalGraphStatus('Scoring positions…');
+  const curve = await App.analysis.buildCurve(App.engine, (done, total) =>
+    App.ui.setEvalGraphStatus(`Scoring positions… ${done}/${total}`));
+  if (!curve || App.mode !== 'analysis') return;
+  App._renderEvalGraph();
+};
+
+App._renderEvalGraph = function() {
+  const curve = App.analysis?.curve;
+  if (!curve) return;
+  App.ui.renderEvalGraph(curve.scores, App._evalGraphMarks(curve), App.analysis.viewedMove,
+    `Evaluation (depth ${curve.depth})`, idx => App._analysisNav('ply', idx));
+};
+
+/** Big swings on the graph, coloured by the move's review NAG if it has one */
+App._evalGraphMarks = function(curve) {
+  const history = App.engine.moveHistory;
+  return AnalysisManager.swings(curve.scores).map(ply => ({ ply, nag: GameTree.qualityNag(history[ply]) }));
+};
+
+/** Download the eval graph as SVG, with the game's PGN embedded */
+App._exportEvalGraph = function() {
+  const curve = App.analysis?.curve;
+  if (!curve || curve.key !== AnalysisManager.curveKey(App.engine)) {
+    App.ui.toast('The eval graph is not ready yet', 'warning');
+    return;
+  }
+  const gc     = App.gameConfig;
+  const pgn    = PGNManager.export(App.engine, { white: gc.whiteName, black: gc.blackName },
+    App.analysis.gameTree(App.engine));
+  const result = /\[Result "([^"]*)"\]/.exec(pgn)[1];
+  const svg    = UIManager.evalGraphSVG(curve.scores, {
+    marks:   App._evalGraphMarks(curve),
+    caption: `${gc.whiteName || 'White'} – ${gc.blackName || 'Black'}  ${result}`,
+    desc:    pgn
+  });
+  const link = document.createElement('a');
+  link.href     = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  link.download = `eval-graph-${new Date().toISOString().split('T')[0]}.svg`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  App.ui.toast('Eval graph exported', 'success');
+};
+
+/** Show the position after an engine-line move (null = back to the viewed position) */
+App._previewLine = function(move) {
+  if (App.mode !== 'analysis' || !App.analysis) return;
+  if (move) {
+    App.board.lastMove = { from: move.from, to: move.to };
+    App._renderBoard(move.board);
+    return;
+  }
+  const m = App.analysis.node.move;
+  App.board.lastMove = m ? { from: m.from, to: m.to } : null;
+  App._renderBoard(App.analysis.getBoardAtCurrentMove(App.engine));
+};
+
+/** Background tablebase generation progress */
+App._onTablebase = function(signature, status, error) {
+  if (status === 'generating') App.ui.toast(`Building ${signature} endgame tablebase…`, 'info');
+  else if (status === 'ready') App.ui.toast(`${signature} tablebase ready`, 'success');
+  else if (status === 'error') App.ui.toast(`Could not build the ${signature} tablebase (${error})`, 'error');
+};
+
+/**
+ * Step through the game tree in analysis mode: 'ply' jumps to mainline
+ * move `target` (-1 = start), 'node' to tree node `target`.
+ */
+App._analysisNav = function(dir, target) {
   if (App.mode !== 'analysis' || !App.analysis) {
     // Allow arrow keys during game for analysis too
     return;
@@ -876,19 +1443,11 @@ App._analysisNav = function(dir) {
     case 'prev':  App.analysis.prevMove(App.engine);  break;
     case 'next':  App.analysis.nextMove(App.engine);  break;
     case 'end':   App.analysis.goToEnd(App.engine);   break;
+    case 'ply':   App.analysis.goToMove(target, App.engine); break;
+    case 'node':  App.analysis.goToNode(target); break;
   }
-  const idx = App.analysis.viewedMove;
-  const b   = App.analysis.getBoardAtCurrentMove(App.engine);
-
-  // Get last move for highlights
-  if (idx >= 0 && App.engine.moveHistory[idx]) {
-    const m = App.engine.moveHistory[idx];
-    App.board.lastMove = { from: m.from, to: m.to };
-  } else { App.board.lastMove = null; }
-  App.board.checkSq = null;
-  App._renderBoard(b);
-  App.ui.highlightMoveInList(idx);
-  App.ui.setEval(App.analysis.getEvaluation(App.engine), App.engine);
+  App.board.clearSelection();
+  App._showViewedPosition();
 };
 
 App._toggleAutoplay = function() {
@@ -900,12 +1459,7 @@ App._toggleAutoplay = function() {
   }
   App.analysis.startAutoplay(
     App.engine, 1000,
-    idx => {
-      const b = App.analysis.getBoardAtCurrentMove(App.engine);
-      App.board.lastMove = App.engine.moveHistory[idx] ? { from: App.engine.moveHistory[idx].from, to: App.engine.moveHistory[idx].to } : null;
-      App._renderBoard(b);
-      App.ui.highlightMoveInList(idx);
-    },
+    () => App._showViewedPosition(),
     () => App.ui.toast('Autoplay finished', 'info')
   );
   App.ui.toast('Autoplay started', 'info');
@@ -916,6 +1470,8 @@ App._toggleAutoplay = function() {
    ================================================================= */
 App._enterPuzzleMode = function() {
   App.timer.stop();
+  App._cancelAI();
+  App.analysis?.deactivate();
   App.mode = 'puzzle';
   App.ui.setActiveMode('puzzle');
   App.ui.showReplayControls(false);
@@ -1,109 +1,350 @@
 /**
  * WebChess Pro — PGN Manager (pgn.js)
- * Full PGN import and export.
+ * Full PGN import and export: a tokenizer and parser that build a move
+ * tree with comments, NAGs and recursive variations (RAVs), and an
+ * exporter that writes them all back.
+ *
+ * Annotations live on the move records: `nags` (numbers), `comments`
+ * (text after the move) and `startComments` (text before the first move
+ * of the game or of a variation).
  */
 
 'use strict';
 
+import { ChessEngine } from './engine.js';
+import { GameTree } from './game-tree.js';
+
 class PGNManager {
   /**
    * Export game to PGN string.
+   * An imported game (a tree with tags) keeps its own tag pairs: they win
+   * over `meta` and the app's defaults, and its Result stands unless the
+   * engine has since ended the game.
    * @param {ChessEngine} engine
-   * @param {object} meta  - { white, black, event, date, result }
+   * @param {object} meta  - { white, black, event, site, date, round, result, termination }
+   * @param {GameTree} [tree] - the game with its variations (its mainline must be the engine's game)
    */
-  static export(engine, meta = {}) {
+  static export(engine, meta = {}, tree = null) {
+    tree = tree || GameTree.fromEngine(engine);
+    const own  = tree.tags;
     const tags = {
-      Event:  meta.event  || 'WebChess Pro Game',
-      Site:   meta.site   || 'WebChess Pro',
-      Date:   meta.date   || new Date().toISOString().split('T')[0].replace(/-/g, '.'),
-      Round:  meta.round  || '?',
-      White:  meta.white  || 'White',
-      Black:  meta.black  || 'Black',
-      Result: meta.result || PGNManager._gameResult(engine)
+      Event:  own.Event  || meta.event  || 'WebChess Pro Game',
+      Site:   own.Site   || meta.site   || 'WebChess Pro',
+      Date:   own.Date   || meta.date   || new Date().toISOString().split('T')[0].replace(/-/g, '.'),
+      Round:  own.Round  || meta.round  || '?',
+      White:  own.White  || meta.white  || 'White',
+      Black:  own.Black  || meta.black  || 'Black',
+      Result: meta.result || (engine.gameResult ? PGNManager._gameResult(engine) : own.Result || '*')
     };
+    if (meta.termination) tags.Termination = meta.termination;
+    // The rest of the imported tags in their order; the start position's are rewritten below
+    for (const [key, val] of Object.entries(own)) {
+      if (!(key in tags) && !['Variant', 'SetUp', 'FEN'].includes(key)) tags[key] = val;
+    }
+    if (engine.variant === 'chess960') tags.Variant = 'Chess960';
+    if (engine.startFEN && engine.startFEN !== ChessEngine.START_FEN) {
+      tags.SetUp = '1';
+      tags.FEN   = engine.startFEN;
+    }
 
     let pgn = '';
     for (const [key, val] of Object.entries(tags)) {
-      pgn += `[${key} "${val}"]\n`;
+      pgn += `[${key} "${String(val).replace(/[\\"]/g, '\\$&')}"]\n`;
     }
     pgn += '\n';
 
-    // Move text
-    const moves = engine.moveHistory;
-    let moveText = '';
-    for (let i = 0; i < moves.length; i++) {
-      if (i % 2 === 0) moveText += `${Math.floor(i / 2) + 1}. `;
-      moveText += moves[i].san + ' ';
-    }
-    moveText += tags.Result;
+    // Move text, numbered on from the start position's move number and side
+    const tokens = [];
+    PGNManager._exportLine(tree, tree.root.children[0], tokens);
+    tokens.push(tags.Result);
 
     // Word-wrap at ~80 chars
-    pgn += PGNManager._wrapText(moveText, 80);
+    pgn += PGNManager._wrapTokens(tokens, 80);
     return pgn;
   }
 
+  /** Move-text tokens of the line from `first`, side lines in parentheses after the move they replace */
+  static _exportLine(tree, first, tokens) {
+    let numbered = true;   // the next move needs its number even if it is Black's
+    for (let node = first; node; node = node.children[0]) {
+      const move = node.move;
+      for (const text of move.startComments || []) tokens.push(PGNManager._comment(text));
+      const { number, white } = tree.moveNumber(node);
+      if (white) tokens.push(`${number}.`);
+      else if (numbered) tokens.push(`${number}...`);
+      tokens.push(move.san);
+      for (const nag of move.nags || []) tokens.push('$' + nag);
+      for (const text of move.comments || []) tokens.push(PGNManager._comment(text));
+      numbered = !!move.comments?.length;
+
+      // Alternatives to this move (the first move of a side line has none of its own)
+      if (node.parent.children[0] !== node) continue;
+      for (const alt of node.parent.children.slice(1)) {
+        tokens.push('(');
+        PGNManager._exportLine(tree, alt, tokens);
+        tokens.push(')');
+        numbered = true;
+      }
+    }
+  }
+
+  /** A comment token: {braced}, or a ;line comment if the text holds a closing brace */
+  static _comment(text) {
+    return text.includes('}') ? '; ' + text : `{${text}}`;
+  }
+
   static _gameResult(engine) {
     if (!engine.gameResult) return '*';
     if (!engine.gameResult.winner) return '1/2-1/2';
     return engine.gameResult.winner === 'w' ? '1-0' : '0-1';
   }
 
-  static _wrapText(text, width) {
-    const words = text.split(' ');
-    let line = '', out = '';
-    for (const w of words) {
-      if ((line + w).length > width) { out += line.trimEnd() + '\n'; line = ''; }
-      line += w + ' ';
+  /**
+   * Lines of at most ~`width` chars; braced comments may break between
+   * words, a ;comment runs to the end of its line.
+   */
+  static _wrapTokens(tokens, width) {
+    const lines = [];
+    let line = '', open = '';
+    const push = word => {
+      word = open + word;
+      open = '';
+      if (line && (line + ' ' + word).length > width) { lines.push(line); line = ''; }
+      line = line ? line + ' ' + word : word;
+    };
+    for (const token of tokens) {
+      // Parentheses hug the variation: "(1... c5 2. Nf3)"
+      if (token === '(') {
+        open += '(';
+      } else if (token === ')' && line) {
+        line += ')';
+      } else if (token.startsWith(';')) {
+        push(token);
+        lines.push(line);
+        line = '';
+      } else if (token.startsWith('{')) {
+        token.split(' ').forEach(push);
+      } else {
+        push(token);
+      }
     }
-    if (line.trim()) out += line.trimEnd();
-    return out;
+    if (line) lines.push(line);
+    return lines.join('\n');
   }
 
+  /* =====================================================
+     IMPORT
+     ===================================================== */
+
   /**
-   * Import PGN and replay moves on engine.
-   * Returns array of move records applied.
+   * Import PGN and replay moves on engine. Only the first game of a
+   * multi-game file is read (see splitGames).
+   * The mainline is played on `engine`; variations are checked on copies.
+   * @returns {{ applied, tags, tree }} applied: the mainline's move records;
+   *   tree: a GameTree with every variation and annotation, and the tags
    */
   static import(engine, pgn) {
     if (!pgn || typeof pgn !== 'string') throw new Error('PGN must be a non-empty string');
-    pgn = pgn.trim();
+    const tokens = PGNManager._tokenize(pgn);
 
-    // Parse tags
-    const tagRe = /\[(\w+)\s+"([^"]*?)"\]/g;
+    // Tag pairs
     const tags = {};
-    let match;
-    while ((match = tagRe.exec(pgn)) !== null) {
-      tags[match[1]] = match[2];
-    }
-
-    // Get move text (remove tags and comments)
-    let moveText = pgn.replace(/\[[^\]]*\]/g, '');
-    moveText = moveText.replace(/\{[^}]*\}/g, '');
-    moveText = moveText.replace(/;[^\n]*/g, '');
-    moveText = moveText.replace(/\d+\./g, '');
-    moveText = moveText.replace(/[*]|1-0|0-1|1\/2-1\/2/g, '');
-    moveText = moveText.replace(/\$\d+/g, ''); // NAG annotations
-    moveText = moveText.trim();
-
-    const tokens = moveText.split(/\s+/).filter(t => t.length > 0);
+    let i = 0;
+    for (; i < tokens.length && tokens[i].type === 'tag'; i++) tags[tokens[i].name] = tokens[i].value;
 
     // Reset engine
+    const variant = /960|fischer/i.test(tags.Variant || '') ? 'chess960' : undefined;
     if (tags.FEN) {
-      engine.loadFEN(tags.FEN);
+      engine.loadFEN(tags.FEN, { variant });
     } else {
-      engine.reset();
+      engine.reset({ variant, startPosition: 518 });
     }
 
+    const tree    = new GameTree(engine.startFEN, engine.variant);
+    tree.tags     = tags;
     const applied = [];
-    for (const token of tokens) {
-      if (!token || token === '...' || /^[0-9]/.test(token.replace('...', ''))) continue;
-      const move = PGNManager._parseSAN(engine, token);
-      if (!move) throw new Error(`Cannot parse move: "${token}"`);
-      const result = engine.makeMove(move);
-      if (!result) throw new Error(`Illegal move: "${token}"`);
-      applied.push(result);
+    const stack   = [];       // outer lines while inside a variation
+    // node: the line's last move; comments: those waiting for its next move
+    let line = { start: tree.root, node: tree.root, engine, comments: [] };
+
+    for (; i < tokens.length; i++) {
+      const token = tokens[i];
+      switch (token.type) {
+        case 'comment':
+          if (line.node === line.start) line.comments.push(token.text);
+          else (line.node.move.comments ||= []).push(token.text);
+          break;
+        case 'nag':
+          if (line.node.move) (line.node.move.nags ||= []).push(token.nag);
+          break;
+        case 'open': {
+          // An alternative to the line's last move, played from the position before it
+          const branch = line.node.parent;
+          if (!branch) throw new Error('Variation before the first move');
+          stack.push(line);
+          line = { start: branch, node: branch, engine: tree.engineAt(branch), comments: [] };
+          break;
+        }
+        case 'close':
+          if (!stack.length) throw new Error('Unmatched ")"');
+          line = stack.pop();
+          break;
+        case 'result':
+          if (stack.length) throw new Error('Unterminated variation');
+          i = tokens.length;
+          break;
+        case 'tag':
+          throw new Error(`Tag [${token.name}] after the moves`);
+        case 'san': {
+          const move = PGNManager._parseSAN(line.engine, token.san);
+          if (!move) throw new Error(`Cannot parse move: "${token.san}"`);
+          const record = line.engine.replayMove(move);
+          if (!record) throw new Error(`Illegal move: "${token.san}"`);
+          if (token.nag) record.nags = [token.nag];
+          if (line.comments.length) { record.startComments = line.comments; line.comments = []; }
+          line.node = tree.addRecord(line.node, record);
+          if (!stack.length) applied.push(record);
+          break;
+        }
+      }
     }
+    if (stack.length) throw new Error('Unterminated variation');
 
-    return { applied, tags };
+    return { applied, tags, tree };
+  }
+
+  /**
+   * Split a PGN file (a tournament, a database export) into its games
+   * without replaying any moves. A game ends where a tag pair follows its
+   * movetext, or at its result outside comments and variations. Each game
+   * is then checked on its own, so one broken game (a malformed tag, an
+   * unterminated comment, a bad NAG) doesn't lose the rest.
+   * @returns {Array<{ tags, pgn, error }>} pgn: the game's own text, for
+   *   import(); error: why its text can't be read, else null
+   */
+  static splitGames(text) {
+    if (typeof text !== 'string') throw new Error('PGN must be a string');
+    const games = [];
+    let game = null, moves = false, comment = false, depth = 0;
+    const close = () => {
+      if (game) {
+        const pgn = game.lines.join('\n').trim();
+        let error = null;
+        try { PGNManager._tokenize(pgn); } catch (e) { error = e.message; }
+        games.push({ tags: game.tags, pgn, error });
+      }
+      game  = null;
+      moves = comment = false;
+      depth = 0;
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+      // Tag pairs: a new game's, or this game's header
+      if (/^\s*\[/.test(line)) {
+        if (moves) close();
+        game = game || { tags: {}, lines: [] };
+        game.lines.push(line);
+        for (const m of line.matchAll(/\[\s*([A-Za-z0-9_]+)\s*"((?:[^"\\]|\\.)*)"\s*\]/g)) {
+          game.tags[m[1]] = m[2].replace(/\\(.)/g, '$1');
+        }
+        comment = false;
+        continue;
+      }
+      if (line.startsWith('%')) continue;
+
+      // Movetext: skip comments and variations, stop at a result
+      let ended = false;
+      for (let i = 0; i < line.length && !ended; i++) {
+        const ch = line[i];
+        if (comment) { comment = ch !== '}'; continue; }
+        if (ch === '{') comment = true;
+        else if (ch === ';') break;
+        else if (ch === '(') depth++;
+        else if (ch === ')') depth = Math.max(0, depth - 1);
+        else if (!/\s/.test(ch)) {
+          const word = /^[^\s{}();]+/.exec(line.slice(i))[0];
+          i += word.length - 1;
+          moves = true;
+          ended = depth === 0 && /^(1-0|0-1|1\/2-1\/2|\*)$/.test(word);
+        }
+      }
+      // Text between games (blank lines, comments) belongs to none
+      if (moves || game) (game = game || { tags: {}, lines: [] }).lines.push(line);
+      if (ended) close();
+    }
+    close();
+    return games;
+  }
+
+  /** Move suffixes and the NAGs they stand for */
+  static get SUFFIX_NAGS() {
+    return { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+  }
+
+  /**
+   * Split PGN text into tokens: { type: 'tag', name, value }, 'comment'
+   * (text, whitespace collapsed), 'nag', 'open', 'close', 'result' and
+   * 'san' (with the NAG of a !/? suffix). Move numbers are dropped.
+   */
+  static _tokenize(text) {
+    const tokens = [];
+    const n = text.length;
+    let i = 0;
+    while (i < n) {
+      const ch = text[i];
+      if (/\s/.test(ch)) { i++; continue; }
+
+      // % escape: the whole line is ignored
+      if (ch === '%' && (i === 0 || text[i - 1] === '\n')) {
+        while (i < n && text[i] !== '\n') i++;
+        continue;
+      }
+      if (ch === '[') {
+        const m = /^\[\s*([A-Za-z0-9_]+)\s*"((?:[^"\\]|\\.)*)"\s*\]/.exec(text.slice(i, i + 1024));
+        if (!m) throw new Error('Malformed tag pair');
+        tokens.push({ type: 'tag', name: m[1], value: m[2].replace(/\\(.)/g, '$1') });
+        i += m[0].length;
+        continue;
+      }
+      if (ch === '{') {
+        const end = text.indexOf('}', i + 1);
+        if (end < 0) throw new Error('Unterminated comment');
+        tokens.push({ type: 'comment', text: text.slice(i + 1, end).replace(/\s+/g, ' ').trim() });
+        i = end + 1;
+        continue;
+      }
+      if (ch === ';') {
+        let end = text.indexOf('\n', i);
+        if (end < 0) end = n;
+        tokens.push({ type: 'comment', text: text.slice(i + 1, end).replace(/\s+/g, ' ').trim() });
+        i = end;
+        continue;
+      }
+      if (ch === '(') { tokens.push({ type: 'open' });  i++; continue; }
+      if (ch === ')') { tokens.push({ type: 'close' }); i++; continue; }
+
+      // Any other run of symbol characters
+      let end = i;
+      while (end < n && !/[\s{}();\[\]]/.test(text[end])) end++;
+      const word = text.slice(i, end);
+      i = end;
+
+      if (word[0] === '$') {
+        const nag = parseInt(word.slice(1));
+        if (!(nag >= 0)) throw new Error(`Bad NAG: "${word}"`);
+        tokens.push({ type: 'nag', nag });
+      } else if (/^(1-0|0-1|1\/2-1\/2|\*)$/.test(word)) {
+        tokens.push({ type: 'result', result: word });
+      } else {
+        // "12." / "12..." / "12...e5": drop the number
+        const san = word.replace(/^\d+\.+/, '');
+        if (!san || /^\.+$/.test(san)) continue;
+        const suffix = /[!?]{1,2}$/.exec(san);
+        const nag    = suffix ? PGNManager.SUFFIX_NAGS[suffix[0]] : 0;
+        tokens.push({ type: 'san', san: suffix ? san.slice(0, -suffix[0].length) : san, nag });
+      }
+    }
+    return tokens;
   }
 
   /**
@@ -182,4 +423,6 @@ class PGNManager {
   }
 }
 
-window.PGNManager = PGNManager;
+if (typeof window !== 'undefined') window.PGNManager = PGNManager;
+
+export { PGNManager };
@@ -85,14 +85,20 @@ const PUZZLE_DB = [
 ];
 
 class PuzzleManager {
-  constructor() {
+  /**
+   * @param {{getStats: Function, saveStats: Function}} [statsStore]
+   *   where streak and solved counts persist (the app passes StorageManager);
+   *   kept in memory when omitted
+   */
+  constructor(statsStore = PuzzleManager.memoryStore()) {
+    this.statsStore    = statsStore;
     this.puzzles       = [...PUZZLE_DB];
     this.currentPuzzle = null;
     this.solutionStep  = 0;
     this.solved        = false;
     this.failed        = false;
 
-    const stats = StorageManager.getStats();
+    const stats = this.statsStore.getStats();
     this.streak = stats.puzzleStreak || 0;
     this.totalSolved = stats.puzzlesSolved || 0;
     this._usedIds = new Set();
@@ -159,13 +165,26 @@ class PuzzleManager {
   }
 
   _savePuzzleStats() {
-    const stats = StorageManager.getStats();
+    const stats = this.statsStore.getStats();
     stats.puzzlesSolved = this.totalSolved;
     stats.puzzleStreak  = this.streak;
     stats.bestStreak = Math.max(stats.bestStreak || 0, this.streak);
-    StorageManager.saveStats(stats);
+    this.statsStore.saveStats(stats);
   }
+
+  /** Stats store that lives only as long as the process */
+  static memoryStore() {
+    let stats = {};
+    return {
+      getStats:  () => ({ ...stats }),
+      saveStats: s => { stats = { ...s }; }
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PuzzleManager = PuzzleManager;
+  window.PUZZLE_DB     = PUZZLE_DB;
 }
 
-window.PuzzleManager = PuzzleManager;
-window.PUZZLE_DB     = PUZZLE_DB;
+export { PuzzleManager, PUZZLE_DB };
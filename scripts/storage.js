@@ -96,7 +96,13 @@ class StorageManager {
       highlightLast:  true,
       animate:     true,
       sound:       true,
-      aiDepth:     3
+      aiLevel:     3,
+      bookMode:    'weighted',
+      bookDepth:   10,
+      analysisLines: 3,
+      analysisEngine: 'builtin',   // 'builtin' | 'external'
+      hintEngine:     'builtin',
+      opponentEngine: 'builtin'
     };
   }
 
@@ -0,0 +1,39 @@
+/**
+ * WebChess Pro — Tablebase Worker (tablebase-worker.js)
+ * Builds endgame tablebases off the main thread and stores them in
+ * IndexedDB, where the search worker picks them up. Started by ChessAI.
+ *
+ * Protocol (main → worker):
+ *   { type: 'generate', signatures }   dependencies first, e.g. ['KQvK', 'KRvK', 'KQvKR']
+ * Protocol (worker → main):
+ *   { type: 'status', signature, status }   'cached' | 'generating' | 'ready'
+ *   { type: 'error', signature, message }
+ */
+
+'use strict';
+
+import { Tablebase } from './tablebase.js';
+
+// Requests run one after another; loading from the cache is asynchronous
+let queue = Promise.resolve();
+
+async function generate(signatures) {
+  for (const signature of signatures) {
+    try {
+      if (await Tablebase.loadCached(signature)) {
+        self.postMessage({ type: 'status', signature, status: 'cached' });
+        continue;
+      }
+      self.postMessage({ type: 'status', signature, status: 'generating' });
+      await Tablebase.saveCached(Tablebase.generate(signature));
+      self.postMessage({ type: 'status', signature, status: 'ready' });
+    } catch (err) {
+      self.postMessage({ type: 'error', signature, message: err.message });
+    }
+  }
+}
+
+self.onmessage = e => {
+  const msg = e.data || {};
+  if (msg.type === 'generate') queue = queue.then(() => generate(msg.signatures || []));
+};
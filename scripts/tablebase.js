@@ -0,0 +1,492 @@
+/**
+ * WebChess Pro — Endgame Tablebases (tablebase.js)
+ * Retrograde-analysis generator and probe for endings with up to four
+ * pieces (KQK, KRK, KPK, KQKR, KRKP, ...), built on ChessEngine move
+ * generation. Tables store exact distance-to-mate in plies for the side
+ * to move and are cached in IndexedDB where available.
+ *
+ * Signatures name the stronger side first, e.g. 'KQvK', 'KRvKP'; a
+ * position with the colours reversed is probed through a colour flip.
+ * Castling rights and en passant are not part of the tables, so
+ * positions where either is available are not probed.
+ */
+
+'use strict';
+
+import { ChessEngine, PIECE_VALUES } from './engine.js';
+
+const PIECE_ORDER = 'KQRBNP';
+const NO_CASTLING = { wK: false, wQ: false, bK: false, bQ: false };
+
+// Per-position search state while generating
+const ILLEGAL  = 0;   // impossible, or a duplicate of a canonical index
+const OPEN     = 1;   // not yet resolved (draw if still open at the end)
+const RESOLVED = 2;
+const DRAWN    = 3;   // stalemate
+const ESCAPES  = -2;  // an exit draws or wins, so the position is never lost
+
+const DB_NAME    = 'webchess-tablebases';
+const DB_STORE   = 'tables';
+const TB_FORMAT  = 1;   // bump when the index layout changes
+
+/*
+ * Symmetry: without pawns the white king is folded into the a1–d1–d4
+ * triangle (10 squares); with pawns only the left–right mirror applies
+ * (white king on files a–d, 32 squares).
+ */
+const flipH = sq => sq ^ 7;
+const flipV = sq => sq ^ 56;
+const flipD = sq => (7 - (sq & 7)) * 8 + (7 - (sq >> 3));   // a1–h8 diagonal
+
+const KING_SLOTS = { pawnless: [], pawns: [] };
+const SLOT_OF    = { pawnless: new Int8Array(64).fill(-1), pawns: new Int8Array(64).fill(-1) };
+for (let sq = 0; sq < 64; sq++) {
+  const r = sq >> 3, c = sq & 7;
+  if (c <= 3) {
+    SLOT_OF.pawns[sq] = KING_SLOTS.pawns.length;
+    KING_SLOTS.pawns.push(sq);
+  }
+  if (c <= 3 && r >= 4 && r + c >= 7) {
+    SLOT_OF.pawnless[sq] = KING_SLOTS.pawnless.length;
+    KING_SLOTS.pawnless.push(sq);
+  }
+}
+
+/**
+ * Stored values (Int16, side to move): 0 draw, n > 0 win with mate in
+ * n plies, -(n + 1) loss with mate in n plies.
+ */
+const encodeWin  = n => n;
+const encodeLoss = n => -(n + 1);
+
+function decodeValue(v) {
+  if (v > 0) return { result: 'win', dtm: v };
+  if (v < 0) return { result: 'loss', dtm: -v - 1 };
+  return { result: 'draw', dtm: 0 };
+}
+
+/** One material signature's table */
+class TablebaseTable {
+  constructor(signature, values = null) {
+    this.signature = signature;
+    this.pieces    = Tablebase.piecesOf(signature);   // ['wK', 'wQ', 'bK']
+    this.pawnful   = this.pieces.some(p => p[1] === 'P');
+    this.slotKind  = this.pawnful ? 'pawns' : 'pawnless';
+    this.kingSlots = KING_SLOTS[this.slotKind].length;
+    this.rest      = 64 ** (this.pieces.length - 1);
+    this.size      = 2 * this.kingSlots * this.rest;
+    this.values    = values || new Int16Array(this.size);
+  }
+
+  /**
+   * Canonical index of a position in table orientation, or -1.
+   * @param {Array} board 64 squares
+   * @param {'w'|'b'} turn
+   */
+  indexOf(board, turn) {
+    const squares = new Array(this.pieces.length).fill(-1);
+    for (let sq = 0; sq < 64; sq++) {
+      const p = board[sq];
+      if (!p) continue;
+      let slot = 0;
+      while (slot < squares.length && (this.pieces[slot] !== p || squares[slot] >= 0)) slot++;
+      if (slot === squares.length) return -1;
+      squares[slot] = sq;
+    }
+    return this.indexOfSquares(squares, turn);
+  }
+
+  indexOfSquares(squares, turn) {
+    let wk = squares[0];
+    const transforms = [];
+    if ((wk & 7) > 3) { transforms.push(flipH); wk = flipH(wk); }
+    if (!this.pawnful) {
+      if ((wk >> 3) < 4) { transforms.push(flipV); wk = flipV(wk); }
+      if ((wk >> 3) + (wk & 7) < 7) { transforms.push(flipD); wk = flipD(wk); }
+    }
+    const idx = this._indexAfter(squares, transforms, turn);
+    // A king on the diagonal leaves the diagonal mirror ambiguous: take the smaller index
+    if (!this.pawnful && (wk >> 3) + (wk & 7) === 7) {
+      return Math.min(idx, this._indexAfter(squares, transforms.concat(flipD), turn));
+    }
+    return idx;
+  }
+
+  _indexAfter(squares, transforms, turn) {
+    const mapped = squares.map(sq => transforms.reduce((s, t) => t(s), sq));
+    // Identical pieces are interchangeable: keep them in ascending square order
+    for (let i = 2; i < mapped.length; i++) {
+      for (let j = i; j > 1 && this.pieces[j] === this.pieces[j - 1] && mapped[j] < mapped[j - 1]; j--) {
+        [mapped[j], mapped[j - 1]] = [mapped[j - 1], mapped[j]];
+      }
+    }
+    let idx = (turn === 'w' ? 0 : 1) * this.kingSlots + SLOT_OF[this.slotKind][mapped[0]];
+    for (let i = 1; i < mapped.length; i++) idx = idx * 64 + mapped[i];
+    return idx;
+  }
+
+  /** Squares (in piece order) and side to move for an index */
+  decode(idx) {
+    const squares = new Array(this.pieces.length);
+    for (let i = this.pieces.length - 1; i >= 1; i--) {
+      squares[i] = idx % 64;
+      idx = Math.floor(idx / 64);
+    }
+    squares[0] = KING_SLOTS[this.slotKind][idx % this.kingSlots];
+    const turn = idx >= this.kingSlots ? 'b' : 'w';
+    return { squares, turn };
+  }
+}
+
+/** Retrograde solver for one table; sub-tables must already be loaded */
+class TablebaseBuilder {
+  constructor(table) {
+    this.table     = table;
+    this.state     = new Uint8Array(table.size);
+    this.remaining = new Uint8Array(table.size);   // quiet successors not yet known lost
+    this.exitLoss  = new Int16Array(table.size);   // longest opponent win via an exit, or ESCAPES
+    this.buckets   = [];
+    this.squares   = null;   // piece squares of the position on the scratch engine
+    this.engine    = new ChessEngine();
+    this.engine.castlingRights  = { ...NO_CASTLING };
+    this.engine.enPassantTarget = null;
+  }
+
+  run() {
+    const { table, state, remaining, exitLoss, engine } = this;
+
+    // Pass 1: legality, mates, stalemates and exits (captures/promotions)
+    for (let idx = 0; idx < table.size; idx++) {
+      const turn = this._setup(idx);
+      if (!turn) continue;
+      state[idx] = OPEN;
+
+      const moves = engine.getAllLegalMoves();
+      if (!moves.length) {
+        if (engine.isInCheck(engine.board, turn)) this._push(0, idx, false);
+        else state[idx] = DRAWN;
+        continue;
+      }
+      let bestWin = Infinity, worstLoss = -1, escapes = false;
+      const quiet = [];
+      for (const move of moves) {
+        const exit = this._isExit(move);
+        engine.applyMoveFull(move);
+        if (exit) {
+          const v = Tablebase.probeBoard(engine.board, engine.turn);
+          if (v === null) throw new Error('Missing sub-table for ' + Tablebase.signatureOf(engine.board));
+          if (v > 0) worstLoss = Math.max(worstLoss, v);
+          else escapes = true;
+          if (v < 0) bestWin = Math.min(bestWin, -v);   // opponent mated in -v - 1, plus this move
+        } else {
+          const next = table.indexOfSquares(this.squares.map(sq => (sq === move.from ? move.to : sq)), engine.turn);
+          if (!quiet.includes(next)) quiet.push(next);
+        }
+        engine.unmakeMove();
+      }
+      remaining[idx] = quiet.length;
+      exitLoss[idx]  = escapes ? ESCAPES : worstLoss;
+      if (bestWin < Infinity) this._push(bestWin, idx, true);
+      else if (!quiet.length && !escapes) this._push(worstLoss + 1, idx, false);
+    }
+
+    // Pass 2: retrograde, one distance layer at a time
+    for (let d = 0; d < this.buckets.length; d++) {
+      const bucket = this.buckets[d] || [];
+      for (let i = 0; i < bucket.length; i++) {
+        const entry = bucket[i];
+        const idx = entry >> 1, win = entry & 1;
+        if (state[idx] !== OPEN) continue;
+        state[idx] = RESOLVED;
+        table.values[idx] = win ? encodeWin(d) : encodeLoss(d);
+
+        for (const pred of this._predecessors(idx)) {
+          if (state[pred] !== OPEN) continue;
+          if (!win) {
+            this._push(d + 1, pred, true);   // moving here wins
+          } else if (--remaining[pred] === 0 && exitLoss[pred] !== ESCAPES) {
+            // Every move now reaches a won position; this one was the last and longest
+            this._push(Math.max(d, exitLoss[pred]) + 1, pred, false);
+          }
+        }
+      }
+      this.buckets[d] = null;
+    }
+    return table;
+  }
+
+  _push(d, idx, win) {
+    (this.buckets[d] || (this.buckets[d] = [])).push(idx * 2 + (win ? 1 : 0));
+  }
+
+  /** Place index `idx` on the scratch engine; returns the side to move or null if illegal */
+  _setup(idx) {
+    const { table, engine } = this;
+    const { squares, turn } = table.decode(idx);
+    const board = new Array(64).fill(null);
+    for (let i = 0; i < squares.length; i++) {
+      const sq = squares[i], p = table.pieces[i];
+      if (board[sq]) return null;
+      if (p[1] === 'P' && (sq < 8 || sq >= 56)) return null;
+      board[sq] = p;
+    }
+    if (table.indexOfSquares(squares, turn) !== idx) return null;   // symmetric duplicate
+    this.squares = squares;
+    engine.board = board;
+    engine.turn  = turn;
+    engine.enPassantTarget = null;
+    if (engine.isInCheck(board, ChessEngine.opp(turn))) return null;
+    return turn;
+  }
+
+  /** Whether a move leaves this table's material (capture or promotion) */
+  _isExit(move) {
+    return !!(this.engine.board[move.to] || move.promoteTo);
+  }
+
+  /** Canonical indices of positions one un-move before `idx` (no un-captures or un-promotions) */
+  _predecessors(idx) {
+    const { table, engine } = this;
+    const { squares, turn } = table.decode(idx);
+    const board = new Array(64).fill(null);
+    squares.forEach((sq, i) => { board[sq] = table.pieces[i]; });
+    const mover = ChessEngine.opp(turn);
+    const preds = [];   // distinct: each is counted once per successor in `remaining`
+
+    const addPred = (from, to) => {
+      const prev = board.slice();
+      prev[from] = board[to];
+      prev[to]   = null;
+      if (engine.isInCheck(prev, turn)) return;   // side not to move can't be in check
+      const pred = table.indexOfSquares(squares.map(s => (s === to ? from : s)), mover);
+      if (!preds.includes(pred)) preds.push(pred);
+    };
+
+    for (let sq = 0; sq < 64; sq++) {
+      const p = board[sq];
+      if (!p || p[0] !== mover) continue;
+      if (p[1] === 'P') {
+        const back = mover === 'w' ? 8 : -8;
+        const from = sq + back;
+        const startRow = mover === 'w' ? 6 : 1;
+        if (from < 8 || from >= 56 || board[from]) continue;
+        addPred(from, sq);
+        if ((from >> 3) + (mover === 'w' ? 1 : -1) === startRow && !board[from + back]) {
+          addPred(from + back, sq);
+        }
+      } else {
+        for (const m of engine.getPseudoMoves(board, sq, NO_CASTLING, null, mover)) {
+          if (!board[m.to]) addPred(m.to, sq);
+        }
+      }
+    }
+    return preds;
+  }
+}
+
+class Tablebase {
+  /** Largest piece count (kings included) with tables */
+  static get MAX_PIECES() { return 4; }
+
+  /** Pieces of a signature in table order: white (stronger) then black */
+  static piecesOf(signature) {
+    const [strong, weak] = signature.split('v');
+    return [...strong].map(t => 'w' + t).concat([...weak].map(t => 'b' + t));
+  }
+
+  static _sortTypes(types) {
+    return types.sort((a, b) => PIECE_ORDER.indexOf(a) - PIECE_ORDER.indexOf(b)).join('');
+  }
+
+  static _material(types) {
+    return [...types].reduce((sum, t) => sum + (t === 'K' ? 0 : PIECE_VALUES[t]), 0);
+  }
+
+  /** Whether black's pieces are the stronger side (the board must be colour-flipped) */
+  static _isFlipped(white, black) {
+    const mw = Tablebase._material(white), mb = Tablebase._material(black);
+    if (mw !== mb) return mb > mw;
+    const rank = s => [...s].map(t => PIECE_ORDER.indexOf(t)).join(',');
+    return rank(black) < rank(white);
+  }
+
+  /** Canonical signature for a set of pieces, e.g. ['wK','bK','bR'] → 'KRvK' */
+  static signatureOfPieces(pieces) {
+    const white = Tablebase._sortTypes(pieces.filter(p => p[0] === 'w').map(p => p[1]));
+    const black = Tablebase._sortTypes(pieces.filter(p => p[0] === 'b').map(p => p[1]));
+    return Tablebase._isFlipped(white, black) ? black + 'v' + white : white + 'v' + black;
+  }
+
+  static signatureOf(board) {
+    return Tablebase.signatureOfPieces(board.filter(Boolean));
+  }
+
+  /** Endings that can never be won by either side */
+  static isTrivialDraw(signature) {
+    return ['KvK', 'KBvK', 'KNvK'].includes(signature);
+  }
+
+  /** Signatures reachable by one capture or promotion */
+  static dependencies(signature) {
+    const pieces = Tablebase.piecesOf(signature);
+    const deps = new Set();
+    pieces.forEach((p, i) => {
+      if (p[1] === 'K') return;
+      deps.add(Tablebase.signatureOfPieces(pieces.filter((_, j) => j !== i)));
+      if (p[1] === 'P') {
+        for (const promo of 'QRBN') {
+          deps.add(Tablebase.signatureOfPieces(pieces.map((q, j) => (j === i ? q[0] + promo : q))));
+        }
+      }
+    });
+    return [...deps];
+  }
+
+  /** Every non-trivial table `signature` needs, dependencies first, itself last */
+  static closure(signature, out = []) {
+    if (Tablebase.isTrivialDraw(signature) || out.includes(signature)) return out;
+    for (const dep of Tablebase.dependencies(signature)) Tablebase.closure(dep, out);
+    out.push(signature);
+    return out;
+  }
+
+  static has(signature) {
+    return Tablebase.isTrivialDraw(signature) || Tablebase.tables.has(signature);
+  }
+
+  /**
+   * Build a table (and any missing sub-tables) and register it.
+   * @param {string} signature e.g. 'KPvK'
+   * @param {Function} [onBuilt] called with each newly built table
+   */
+  static generate(signature, onBuilt = null) {
+    if (Tablebase.piecesOf(signature).length > Tablebase.MAX_PIECES) {
+      throw new Error(`Tablebases go up to ${Tablebase.MAX_PIECES} pieces`);
+    }
+    for (const sig of Tablebase.closure(signature)) {
+      if (Tablebase.tables.has(sig)) continue;
+      const table = new TablebaseTable(sig);
+      new TablebaseBuilder(table).run();
+      Tablebase.tables.set(sig, table);
+      if (onBuilt) onBuilt(table);
+    }
+    return Tablebase.tables.get(signature);
+  }
+
+  /**
+   * Raw stored value for the side to move (see encodeWin/encodeLoss),
+   * 0 for trivial draws, or null if no table is loaded.
+   */
+  static probeBoard(board, turn) {
+    let count = 0;
+    for (let sq = 0; sq < 64; sq++) if (board[sq] && ++count > Tablebase.MAX_PIECES) return null;
+    const pieces = board.filter(Boolean);
+    const white = Tablebase._sortTypes(pieces.filter(p => p[0] === 'w').map(p => p[1]));
+    const black = Tablebase._sortTypes(pieces.filter(p => p[0] === 'b').map(p => p[1]));
+    const flipped = Tablebase._isFlipped(white, black);
+    const signature = flipped ? black + 'v' + white : white + 'v' + black;
+    if (Tablebase.isTrivialDraw(signature)) return 0;
+    const table = Tablebase.tables.get(signature);
+    if (!table) return null;
+
+    let view = board;
+    if (flipped) {
+      // Mirror ranks and swap colours so the stronger side is white
+      view = new Array(64).fill(null);
+      for (let sq = 0; sq < 64; sq++) {
+        const p = board[sq];
+        if (p) view[flipV(sq)] = ChessEngine.opp(p[0]) + p[1];
+      }
+      turn = ChessEngine.opp(turn);
+    }
+    const idx = table.indexOf(view, turn);
+    return idx < 0 ? null : table.values[idx];
+  }
+
+  /**
+   * Exact result for the engine's side to move, or null when there is no
+   * table (more pieces, not generated yet, castling rights or en passant).
+   * @returns {{result: 'win'|'loss'|'draw', dtm: number}|null} dtm in plies
+   */
+  static probe(engine) {
+    if (Tablebase._epCapturable(engine)) return null;
+    const rights = engine.castlingRights;
+    if (rights.wK || rights.wQ || rights.bK || rights.bQ) return null;
+    const v = Tablebase.probeBoard(engine.board, engine.turn);
+    return v === null ? null : decodeValue(v);
+  }
+
+  /** Whether the side to move could capture en passant, which tables don't model */
+  static _epCapturable(engine) {
+    const ep = engine.enPassantTarget;
+    if (ep === null || ep === undefined) return false;
+    const pawn = engine.turn + 'P';
+    const from = ep + (engine.turn === 'w' ? 8 : -8);   // rank a capturing pawn stands on
+    const col  = ep & 7;
+    return (col > 0 && engine.board[from - 1] === pawn) || (col < 7 && engine.board[from + 1] === pawn);
+  }
+
+  /**
+   * Signatures worth loading for a position: its own table and
+   * sub-tables (up to four pieces), or for five pieces the tables one
+   * capture away.
+   */
+  static wanted(board) {
+    const pieces = board.filter(Boolean);
+    if (pieces.length <= Tablebase.MAX_PIECES) {
+      return Tablebase.closure(Tablebase.signatureOfPieces(pieces));
+    }
+    if (pieces.length > Tablebase.MAX_PIECES + 1) return [];
+    const out = [];
+    pieces.forEach((p, i) => {
+      if (p[1] !== 'K') Tablebase.closure(Tablebase.signatureOfPieces(pieces.filter((_, j) => j !== i)), out);
+    });
+    return out;
+  }
+
+  /* ---------- IndexedDB cache (browser and workers; no-op elsewhere) ---------- */
+
+  static _openDB() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise(resolve => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: 'signature' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve(null);
+    });
+  }
+
+  /** Load a cached table into memory; resolves true if it is now available */
+  static async loadCached(signature) {
+    if (Tablebase.has(signature)) return true;
+    const db = await Tablebase._openDB();
+    if (!db) return false;
+    const record = await new Promise(resolve => {
+      const req = db.transaction(DB_STORE).objectStore(DB_STORE).get(signature);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror   = () => resolve(null);
+    });
+    db.close();
+    if (!record || record.format !== TB_FORMAT) return false;
+    Tablebase.tables.set(signature, new TablebaseTable(signature, record.values));
+    return true;
+  }
+
+  static async saveCached(table) {
+    const db = await Tablebase._openDB();
+    if (!db) return;
+    await new Promise(resolve => {
+      const tx = db.transaction(DB_STORE, 'readwrite');
+      tx.objectStore(DB_STORE).put({ signature: table.signature, format: TB_FORMAT, values: table.values });
+      tx.oncomplete = tx.onerror = tx.onabort = () => resolve();
+    });
+    db.close();
+  }
+}
+
+/** Loaded tables by signature */
+Tablebase.tables = new Map();
+
+if (typeof window !== 'undefined') window.Tablebase = Tablebase;
+
+export { Tablebase };
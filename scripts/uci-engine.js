@@ -0,0 +1,342 @@
+/**
+ * WebChess Pro — External Engine Adapter (uci-engine.js)
+ * Drives a UCI engine that runs as a Web Worker from a script the user
+ * picks (e.g. a single-file Stockfish WASM build). Speaks UCI text over
+ * postMessage and implements the same SearchEngine interface as ChessAI,
+ * so analysis, hints and the PvAI opponent can use it instead.
+ *
+ * Strength levels map to UCI_LimitStrength / UCI_Elo when the engine
+ * offers them; otherwise it always plays at full strength.
+ */
+
+'use strict';
+
+import { ChessAI, MATE_SCORE } from './ai.js';
+
+const HANDSHAKE_MS = 15000;   // time allowed for 'uciok' / 'readyok'
+
+/** @implements {SearchEngine} */
+class UciEngine {
+  /**
+   * @param {string} scriptUrl worker script (an object URL for a picked file)
+   * @param {string} [fileName] shown until the engine reports its name
+   */
+  constructor(scriptUrl, fileName = '') {
+    this.scriptUrl = scriptUrl;
+    this.name      = fileName.replace(/\.js$/i, '') || 'External engine';
+    this.author    = '';
+    this.options   = new Map();   // lower-case name → { name, type, default, min, max }
+    this.level     = ChessAI.LEVELS.length;
+    this.depth     = 12;          // untimed moves and hints
+    this.analysisDepth = 16;
+    this.fromBook  = false;       // external engines use their own books, if any
+    this.lastScore = 0;           // white-relative score of the last getBestMoveAsync() search
+    this.dead      = false;       // the worker failed after the handshake; searches end at once
+    this.onError   = null;        // called with the error when that happens
+
+    this._worker   = null;
+    this._waiting  = null;        // { token, timer, resolve, reject } during the handshake
+    this._pending  = null;        // the search being answered
+    this._searchId = 0;
+    this._busy     = null;        // settles on the next 'bestmove' while a 'go' is out
+    this._bestmove = null;
+    this._sent     = {};          // last value sent per option
+  }
+
+  /**
+   * Start the engine from a user-picked script file and complete the UCI
+   * handshake. Rejects (and cleans up) if it doesn't answer like a UCI engine.
+   * @param {File} file
+   * @returns {Promise<UciEngine>}
+   */
+  static async load(file) {
+    const url    = URL.createObjectURL(file);
+    const engine = new UciEngine(url, file.name);
+    try {
+      await engine.init();
+    } catch (e) {
+      engine.terminate();
+      throw e;
+    }
+    return engine;
+  }
+
+  async init() {
+    this._worker = new Worker(this.scriptUrl);
+    this._worker.onmessage = e => this._onMessage(e.data);
+    this._worker.onerror   = e => {
+      e.preventDefault?.();
+      this._onError(new Error(e.message || 'engine script failed'));
+    };
+    this._send('uci');
+    await this._expect('uciok');
+    this._send('isready');
+    await this._expect('readyok');
+  }
+
+  terminate() {
+    this.stop();
+    this._worker?.terminate();
+    this._worker = null;
+    if (this._bestmove) this._bestmove();
+    this._busy = this._bestmove = null;
+    if (this.scriptUrl.startsWith('blob:')) URL.revokeObjectURL(this.scriptUrl);
+  }
+
+  /** Whether the engine can play below full strength */
+  get limitsStrength() {
+    return this.options.has('uci_limitstrength') && this.options.has('uci_elo');
+  }
+
+  /** Settings of the current level: the level's Elo within the engine's UCI_Elo range */
+  get strength() {
+    const elo = this.limitsStrength ? this._eloFor(this.level) : null;
+    return { name: this.name, elo, depth: this.depth, maxDepth: ChessAI.MAX_DEPTH };
+  }
+
+  setDifficulty(level) {
+    this.level = Math.max(1, Math.min(ChessAI.LEVELS.length, parseInt(level) || 3));
+  }
+
+  /**
+   * Search the engine's current position.
+   * @param {ChessEngine} engine
+   * @param {{depth?: number, nodes?: number, movetime?: number, level?: number, multiPV?: number}} [limits]
+   * @param {Function} [onInfo] called with each new principal variation
+   * @returns {Promise<{move, score, depth, nodes, lines, tablebase, stopped?: boolean}>}
+   *   scores are white-relative like ChessAI's; lines: [{ score, pv }] with UCI moves
+   */
+  search(engine, limits = {}, onInfo = null) {
+    this.stop();
+    const moves = engine.uciLine();
+    const pending = {
+      id: ++this._searchId,
+      onInfo,
+      white: engine.turn === 'w',
+      legal: new Map(engine.getAllLegalMoves().map(m => [engine.moveToUci(m), m])),
+      best: null,
+      lines: [],
+      depth: 0,
+      nodes: 0,
+      started: false
+    };
+    if (this.dead) return Promise.resolve({ ...this._result(pending), stopped: true });
+    const position = `position fen ${engine.startFEN}` + (moves.length ? ` moves ${moves.join(' ')}` : '');
+    return new Promise(resolve => {
+      pending.resolve = resolve;
+      this._pending = pending;
+      this._go(pending, position, engine.variant === 'chess960', limits);
+    });
+  }
+
+  /** Move for the PvAI opponent: timed by the clock, else the engine's depth */
+  async getBestMoveAsync(engine, onDone, limits = {}) {
+    const timed  = limits.movetime || limits.nodes;
+    const result = await this.search(engine, {
+      ...(timed ? { movetime: limits.movetime, nodes: limits.nodes } : { depth: this.depth }),
+      level: this.level
+    });
+    const move = result.stopped ? null : result.move;
+    if (!result.stopped) this.lastScore = result.score;
+    if (onDone) onDone(move);
+    return move;
+  }
+
+  /** Full-strength hint; resolves null if stopped */
+  async getHintAsync(engine) {
+    const result = await this.search(engine, { depth: this.depth });
+    return result.stopped ? null : result.move;
+  }
+
+  /** Cancel the running search; it resolves at once with the best line so far */
+  stop() {
+    const pending = this._pending;
+    if (!pending) return;
+    this._pending = null;
+    if (pending.started) this._send('stop');
+    pending.resolve({ ...this._result(pending), stopped: true });
+  }
+
+  /* =====================================================
+     INTERNALS
+     ===================================================== */
+  async _go(pending, position, chess960, limits) {
+    // One 'go' at a time: a stopped search still answers with a 'bestmove'
+    while (this._busy) await this._busy;
+    if (this._pending !== pending || !this._worker) return;
+
+    const level = limits.level && this.limitsStrength ? limits.level : 0;
+    this._setOption('UCI_Chess960', chess960);
+    this._setOption('MultiPV', limits.multiPV || 1);
+    this._setOption('UCI_LimitStrength', level > 0);
+    if (level) this._setOption('UCI_Elo', this._eloFor(level));
+
+    const go = ['go'];
+    if (limits.depth)    go.push('depth', limits.depth);
+    if (limits.nodes)    go.push('nodes', limits.nodes);
+    if (limits.movetime) go.push('movetime', limits.movetime);
+    if (go.length === 1) go.push('depth', this.depth);
+
+    this._busy = new Promise(resolve => { this._bestmove = resolve; });
+    pending.started = true;
+    this._send(position);
+    this._send(go.join(' '));
+  }
+
+  /** Send a setoption only for options the engine has, and only on change */
+  _setOption(name, value) {
+    const option = this.options.get(name.toLowerCase());
+    if (!option) return;
+    if (option.type === 'spin') value = Math.max(option.min, Math.min(option.max, value));
+    if (this._sent[name] === value) return;
+    this._sent[name] = value;
+    this._send(`setoption name ${option.name} value ${value}`);
+  }
+
+  /** The app level's Elo, clamped to the engine's UCI_Elo range */
+  _eloFor(level) {
+    const option = this.options.get('uci_elo');
+    const elo    = ChessAI.LEVELS[level - 1].elo;
+    return option ? Math.max(option.min, Math.min(option.max, elo)) : elo;
+  }
+
+  _send(line) {
+    this._worker?.postMessage(line);
+  }
+
+  /** Resolves when the engine sends `token`; rejects on timeout or a worker error */
+  _expect(token) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this._settle(new Error(`no '${token}' from engine`)), HANDSHAKE_MS);
+      this._waiting = { token, timer, resolve, reject };
+    });
+  }
+
+  _settle(err = null) {
+    const waiting = this._waiting;
+    if (!waiting) return;
+    this._waiting = null;
+    clearTimeout(waiting.timer);
+    if (err) waiting.reject(err);
+    else     waiting.resolve();
+  }
+
+  _onError(err) {
+    if (this._waiting) {
+      this._settle(err);
+      return;
+    }
+    // No 'bestmove' will come: end the search and free the 'go' queue
+    if (this.dead) return;
+    this.dead = true;
+    this.stop();
+    const settle = this._bestmove;
+    this._busy = this._bestmove = null;
+    if (settle) settle();
+    if (this.onError) this.onError(err);
+  }
+
+  _onMessage(data) {
+    // Engines post plain text, sometimes several lines at once
+    const text = typeof data === 'string' ? data : data?.data;
+    if (typeof text !== 'string') return;
+    for (const line of text.split('\n')) {
+      const tokens = line.trim().split(/\s+/);
+      if (tokens[0]) this._onLine(tokens);
+    }
+  }
+
+  _onLine(tokens) {
+    const [command] = tokens;
+    if (this._waiting && command === this._waiting.token) {
+      this._settle();
+      return;
+    }
+    if (command === 'id') {
+      const value = tokens.slice(2).join(' ');
+      if (tokens[1] === 'name' && value)   this.name   = value;
+      if (tokens[1] === 'author' && value) this.author = value;
+    } else if (command === 'option') {
+      this._parseOption(tokens);
+    } else if (command === 'info') {
+      if (this._pending?.started) this._parseInfo(tokens, this._pending);
+    } else if (command === 'bestmove') {
+      const settle = this._bestmove;
+      this._busy = this._bestmove = null;
+      const pending = this._pending;
+      if (pending?.started) {
+        this._pending = null;
+        const result = this._result(pending);
+        const move   = pending.legal.get(tokens[1]) || null;
+        pending.resolve({ ...result, move });
+      }
+      if (settle) settle();
+    }
+  }
+
+  /** option name <name...> type <t> [default <x>] [min <n>] [max <n>] [var ...] */
+  _parseOption(tokens) {
+    const typeAt = tokens.indexOf('type');
+    if (typeAt < 0) return;
+    const name   = tokens.slice(2, typeAt).join(' ');
+    const option = { name, type: tokens[typeAt + 1] };
+    for (const key of ['default', 'min', 'max']) {
+      const at = tokens.indexOf(key, typeAt);
+      if (at > 0) option[key] = key === 'default' ? tokens[at + 1] : parseInt(tokens[at + 1]);
+    }
+    this.options.set(name.toLowerCase(), option);
+  }
+
+  /** info depth d [multipv k] score cp x|mate n nodes n pv <moves> */
+  _parseInfo(tokens, pending) {
+    let depth = 0, multipv = 1, nodes = pending.nodes, score = null, bound = false, pv = null;
+    for (let i = 1; i < tokens.length; i++) {
+      switch (tokens[i]) {
+        case 'depth':   depth   = parseInt(tokens[++i]); break;
+        case 'multipv': multipv = parseInt(tokens[++i]); break;
+        case 'nodes':   nodes   = parseInt(tokens[++i]); break;
+        case 'score':
+          score = this._whiteScore(tokens[i + 1], parseInt(tokens[i + 2]), pending.white);
+          i += 2;
+          break;
+        case 'lowerbound':
+        case 'upperbound': bound = true; break;
+        case 'pv': pv = tokens.slice(i + 1); i = tokens.length; break;
+      }
+    }
+    pending.nodes = nodes;
+    if (!pv?.length || score === null || bound) return;
+
+    // A new depth starts with its first line
+    if (multipv === 1 && depth !== pending.depth) {
+      pending.depth = depth;
+      pending.lines = [];
+    }
+    pending.lines[multipv - 1] = { score, pv };
+    if (multipv === 1) {
+      pending.best = { move: pending.legal.get(pv[0]) || null, score, depth, nodes };
+      if (pending.onInfo) pending.onInfo({ ...pending.best, lines: pending.lines.filter(Boolean) });
+    }
+  }
+
+  /** UCI "cp x" / "mate n" for the side to move → white-relative score */
+  _whiteScore(kind, value, white) {
+    let score;
+    if (kind === 'mate') {
+      const plies = value > 0 ? 2 * value - 1 : -2 * value;
+      score = value > 0 ? MATE_SCORE - plies : -(MATE_SCORE - plies);
+    } else {
+      score = value;
+    }
+    return white ? score : -score;
+  }
+
+  _result(pending) {
+    const best = pending.best || { move: null, score: 0, depth: 0, nodes: pending.nodes };
+    return { ...best, nodes: pending.nodes, lines: pending.lines.filter(Boolean), tablebase: null };
+  }
+}
+
+if (typeof window !== 'undefined') window.UciEngine = UciEngine;
+
+export { UciEngine };
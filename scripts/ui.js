@@ -20,15 +20,163 @@ class UIManager {
     if (el) el.textContent = text;
   }
 
-  setEval(score, engine) {
+  setEval(score, engine, tablebase = null) {
     const label = document.getElementById('eval-label');
     const bar   = document.getElementById('eval-bar');
     if (!label || !bar) return;
-    label.textContent = AnalysisManager.formatEval(score);
+    label.textContent = AnalysisManager.formatEval(score) + (tablebase ? ' TB' : '');
+    label.title = tablebase ? AnalysisManager.describeTablebase(tablebase, score) : '';
     const pct = AnalysisManager.evalToPercent(score);
     bar.style.width = pct + '%';
   }
 
+  /**
+   * Engine lines under the eval bar (from AnalysisManager.describeLines).
+   * Clicking a move calls onPreview(move); clicking it again, onPreview(null).
+   */
+  renderEngineLines(lines, depth, onPreview) {
+    const list = document.getElementById('pv-lines');
+    if (!list) return;
+    list.innerHTML = '';
+
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.className = 'pv-line';
+
+      const scoreEl = document.createElement('span');
+      scoreEl.className   = 'pv-score';
+      scoreEl.textContent = AnalysisManager.formatEval(line.score);
+      const depthEl = document.createElement('span');
+      depthEl.className   = 'pv-depth';
+      depthEl.textContent = 'd' + depth;
+      item.append(scoreEl, depthEl);
+
+      line.moves.forEach(move => {
+        if (move.number) {
+          const numEl = document.createElement('span');
+          numEl.className   = 'pv-num';
+          numEl.textContent = move.number;
+          item.appendChild(numEl);
+        }
+        const span = document.createElement('span');
+        span.className   = 'pv-move';
+        span.textContent = move.san;
+        span.addEventListener('click', () => {
+          const wasActive = span.classList.contains('active-move');
+          list.querySelectorAll('.pv-move').forEach(el => el.classList.remove('active-move'));
+          span.classList.toggle('active-move', !wasActive);
+          if (onPreview) onPreview(wasActive ? null : move);
+        });
+        item.appendChild(span);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  clearEngineLines() {
+    const list = document.getElementById('pv-lines');
+    if (list) list.innerHTML = '';
+  }
+
+  /* =====================================================
+     EVAL GRAPH
+     ===================================================== */
+
+  /**
+   * Whole-game eval graph: one point per position (scores from
+   * AnalysisManager.curve), `marks` = [{ ply, nag }] for big swings, where
+   * ply is the move index. Clicking picks the nearest position and calls
+   * onSelect(moveIdx) with -1 for the start position.
+   */
+  renderEvalGraph(scores, marks, activeIdx, title, onSelect) {
+    const el = document.getElementById('eval-graph');
+    if (!el) return;
+    const titleEl = document.getElementById('eval-graph-title');
+    if (titleEl) titleEl.textContent = title;
+    el.innerHTML = UIManager.evalGraphSVG(scores, { marks, active: activeIdx });
+
+    const svg = el.querySelector('svg');
+    svg.addEventListener('click', e => {
+      const { width, left } = svg.getBoundingClientRect();
+      const { pad, step }   = UIManager._evalGraphGeometry(scores.length);
+      const x   = (e.clientX - left) / width * UIManager.EVAL_GRAPH_SIZE.width;
+      const pos = Math.max(0, Math.min(scores.length - 1, Math.round((x - pad) / step)));
+      if (onSelect) onSelect(pos - 1);
+    });
+  }
+
+  /** Move the eval-graph cursor to the position after move `idx` (-1 = start) */
+  highlightEvalGraph(idx) {
+    const cursor = document.querySelector('#eval-graph .eg-cursor');
+    if (!cursor) return;
+    const points = parseInt(cursor.dataset.points);
+    const { pad, step } = UIManager._evalGraphGeometry(points);
+    const x = (pad + (idx + 1) * step).toFixed(1);
+    cursor.setAttribute('x1', x);
+    cursor.setAttribute('x2', x);
+  }
+
+  /** Enable the promote / delete buttons while a variation is viewed */
+  setVariationButtons(inVariation) {
+    ['btn-promote-variation', 'btn-delete-variation'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !inVariation;
+    });
+  }
+
+  /** Eval-graph placeholder text (while the positions are being scored) */
+  setEvalGraphStatus(text) {
+    const el = document.getElementById('eval-graph');
+    if (el) el.innerHTML = `<div class="eval-graph-status">${text}</div>`;
+  }
+
+  static get EVAL_GRAPH_SIZE() { return { width: 600, height: 120 }; }
+
+  static _evalGraphGeometry(points) {
+    const pad = 6;
+    return { pad, step: (UIManager.EVAL_GRAPH_SIZE.width - 2 * pad) / Math.max(1, points - 1) };
+  }
+
+  /**
+   * The eval graph as SVG markup, also used for the export: white's winning
+   * chances as a filled curve. Colours are attributes (the page's CSS
+   * restyles them by class); `caption` adds a heading and `desc` (e.g. the
+   * PGN) is embedded in a <desc> element.
+   */
+  static evalGraphSVG(scores, { marks = [], active = null, caption = '', desc = '' } = {}) {
+    const { width, height } = UIManager.EVAL_GRAPH_SIZE;
+    const top  = caption ? 24 : 0;
+    const mid  = top + height / 2;
+    const { pad, step } = UIManager._evalGraphGeometry(scores.length);
+    const xOf  = i => (pad + i * step).toFixed(1);
+    const yOf  = score => (mid - (AnalysisManager.winPercent(score) - 50) / 50 * (height / 2 - pad)).toFixed(1);
+    const esc  = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const colours = { 2: '#ff922b', 4: '#ff6b6b', 6: '#ffd43b' };
+
+    const curve = scores.map((score, i) => `${xOf(i)},${yOf(score)}`).join(' ');
+    const last  = xOf(scores.length - 1);
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${top + height}" class="eval-graph-svg">`,
+      caption ? `<title>${esc(caption)}</title>` : '',
+      desc ? `<desc>${esc(desc)}</desc>` : '',
+      caption ? `<text x="${pad}" y="16" font-family="sans-serif" font-size="13" fill="#333">${esc(caption)}</text>` : '',
+      `<rect class="eg-black" x="0" y="${top}" width="${width}" height="${height}" fill="#404040"/>`,
+      `<polygon class="eg-white" points="${xOf(0)},${top + height} ${curve} ${last},${top + height}" fill="#e8e8e8"/>`,
+      `<line class="eg-mid" x1="0" y1="${mid}" x2="${width}" y2="${mid}" stroke="#888" stroke-dasharray="4 3"/>`,
+      `<polyline class="eg-line" points="${curve}" fill="none" stroke="#5c7cfa" stroke-width="1.5"/>`
+    ];
+    for (const { ply, nag } of marks) {
+      parts.push(`<circle class="eg-mark nag-${nag || 0}" cx="${xOf(ply + 1)}" cy="${yOf(scores[ply + 1])}" r="3.5" ` +
+        `fill="${colours[nag] || '#ff922b'}" stroke="#222"/>`);
+    }
+    if (active !== null) {
+      const x = xOf(active + 1);
+      parts.push(`<line class="eg-cursor" data-points="${scores.length}" x1="${x}" y1="${top}" x2="${x}" y2="${top + height}" stroke="#5c7cfa" stroke-width="2"/>`);
+    }
+    parts.push('</svg>');
+    return parts.filter(Boolean).join('\n');
+  }
+
   /* =====================================================
      TIMERS
      ===================================================== */
@@ -68,44 +216,161 @@ class UIManager {
   /* =====================================================
      MOVE LIST
      ===================================================== */
-  updateMoveList(moves, onMoveClick, activeMoveIdx = -1) {
+  /**
+   * Move list. `moves` is the game's move records, or in analysis a
+   * GameTree: variations are then nested under the mainline move they
+   * replace, onMoveClick gets the clicked node and `active` is a node.
+   */
+  updateMoveList(moves, onMoveClick, active = -1) {
     const list = document.getElementById('move-list');
     if (!list) return;
     list.innerHTML = '';
 
-    for (let i = 0; i < moves.length; i += 2) {
-      const row = document.createElement('div');
-      row.className = 'move-row';
-
-      const numEl = document.createElement('span');
-      numEl.className  = 'move-num';
-      numEl.textContent = Math.floor(i / 2) + 1 + '.';
-      row.appendChild(numEl);
-
-      for (let j = 0; j < 2 && i + j < moves.length; j++) {
-        const idx = i + j;
-        const span = document.createElement('span');
-        span.className  = 'move-san' + (idx === activeMoveIdx ? ' active-move' : '');
-        span.textContent = moves[idx].san;
-        span.dataset.idx = idx;
-        span.addEventListener('click', () => { if (onMoveClick) onMoveClick(idx); });
-        row.appendChild(span);
+    if (moves instanceof GameTree) {
+      this._renderMoveTree(list, moves, onMoveClick, active);
+    } else {
+      for (let i = 0; i < moves.length; i += 2) {
+        const row = document.createElement('div');
+        row.className = 'move-row';
+
+        const numEl = document.createElement('span');
+        numEl.className  = 'move-num';
+        numEl.textContent = Math.floor(i / 2) + 1 + '.';
+        row.appendChild(numEl);
+
+        for (let j = 0; j < 2 && i + j < moves.length; j++) {
+          const idx  = i + j;
+          const span = this._moveSpan(moves[idx], idx === active);
+          span.dataset.idx = idx;
+          span.addEventListener('click', () => { if (onMoveClick) onMoveClick(idx); });
+          row.appendChild(span);
+        }
+        list.appendChild(row);
       }
-      list.appendChild(row);
     }
 
     // Scroll to bottom / active move
-    const active = list.querySelector('.active-move');
-    if (active) active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    const activeEl = list.querySelector('.active-move');
+    if (activeEl) activeEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
     else list.scrollTop = list.scrollHeight;
   }
 
-  highlightMoveInList(idx) {
+  /**
+   * Mainline in rows; after a move with alternatives, one indented line per
+   * variation. PGN comments break the row too.
+   */
+  _renderMoveTree(list, tree, onNodeClick, active) {
+    let row = null;
+    for (const node of tree.mainline()) {
+      if (node.move.startComments) {
+        list.appendChild(this._moveComment(node.move.startComments, 'div'));
+        row = null;
+      }
+      const { number, white } = tree.moveNumber(node);
+      if (white || !row) {
+        row = document.createElement('div');
+        row.className = 'move-row';
+        const numEl = document.createElement('span');
+        numEl.className   = 'move-num';
+        numEl.textContent = number + '.';
+        row.appendChild(numEl);
+        if (!white) {
+          const skip = document.createElement('span');
+          skip.className   = 'move-skip';
+          skip.textContent = '…';
+          row.appendChild(skip);
+        }
+        list.appendChild(row);
+      }
+      row.appendChild(this._nodeSpan(node, active, onNodeClick));
+      if (node.move.comments) {
+        list.appendChild(this._moveComment(node.move.comments, 'div'));
+        row = null;
+      }
+
+      const alternatives = node.parent.children.slice(1);
+      if (alternatives.length) {
+        const block = document.createElement('div');
+        block.className = 'move-variations';
+        for (const alt of alternatives) block.appendChild(this._variationLine(tree, alt, active, onNodeClick, 'div'));
+        list.appendChild(block);
+        row = null;   // the mainline goes on in a new row
+      }
+    }
+  }
+
+  /** One variation from `first` to its end, with its own side lines in parentheses */
+  _variationLine(tree, first, active, onNodeClick, tag) {
+    const line = document.createElement(tag);
+    line.className = tag === 'div' ? 'move-variation' : 'move-subvariation';
+    let numbered = true;   // print the number of the next move even if it is Black's
+    for (let node = first; node; node = node.children[0]) {
+      if (node.move.startComments) line.appendChild(this._moveComment(node.move.startComments, 'span'));
+      const { number, white } = tree.moveNumber(node);
+      if (white || numbered) {
+        const numEl = document.createElement('span');
+        numEl.className   = 'move-var-num';
+        numEl.textContent = number + (white ? '.' : '...');
+        line.appendChild(numEl);
+      }
+      line.appendChild(this._nodeSpan(node, active, onNodeClick));
+      numbered = false;
+      if (node.move.comments) {
+        line.appendChild(this._moveComment(node.move.comments, 'span'));
+        numbered = true;
+      }
+      if (node === first) continue;
+      for (const alt of node.parent.children.slice(1)) {
+        line.appendChild(this._variationLine(tree, alt, active, onNodeClick, 'span'));
+        numbered = true;
+      }
+    }
+    return line;
+  }
+
+  _moveComment(comments, tag) {
+    const el = document.createElement(tag);
+    el.className   = 'move-comment';
+    el.textContent = comments.join(' ');
+    return el;
+  }
+
+  _nodeSpan(node, active, onNodeClick) {
+    const span = this._moveSpan(node.move, node === active);
+    span.dataset.node = node.id;
+    span.addEventListener('click', () => { if (onNodeClick) onNodeClick(node); });
+    return span;
+  }
+
+  /** A move's SAN with its review glyph */
+  _moveSpan(move, isActive) {
+    const span = document.createElement('span');
+    span.className   = 'move-san' + (isActive ? ' active-move' : '');
+    span.textContent = move.san;
+    const quality = GameTree.qualityNag(move);
+    if (quality) {
+      const nag = document.createElement('span');
+      nag.className   = `move-nag nag-${quality}`;
+      nag.textContent = UIManager.NAG_GLYPHS[quality];
+      span.appendChild(nag);
+    }
+    return span;
+  }
+
+  /** Highlight a move: its index in the game, or a GameTree node */
+  highlightMoveInList(active) {
+    const isNode = active !== null && typeof active === 'object';
     document.querySelectorAll('.move-san').forEach(el => {
-      el.classList.toggle('active-move', parseInt(el.dataset.idx) === idx);
+      const match = isNode ? parseInt(el.dataset.node) === active.id : parseInt(el.dataset.idx) === active;
+      el.classList.toggle('active-move', match);
     });
-    const active = document.querySelector('.move-san.active-move');
-    if (active) active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    const activeEl = document.querySelector('.move-san.active-move');
+    if (activeEl) activeEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  /** Move-list glyphs for the move-quality NAGs */
+  static get NAG_GLYPHS() {
+    return { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
   }
 
   /* =====================================================
@@ -166,6 +431,23 @@ class UIManager {
     this.closeModal('modal-promotion');
   }
 
+  /**
+   * Ask whether to accept the AI's draw offer.
+   * Returns a promise that resolves true (accept) or false (decline).
+   */
+  showDrawOffer() {
+    return new Promise(resolve => {
+      this.resolveDrawOffer(false);   // an older offer lapses
+      this._drawOffer = resolve;
+      this.openModal('modal-draw-offer');
+    });
+  }
+
+  resolveDrawOffer(accepted) {
+    if (this._drawOffer) { this._drawOffer(accepted); this._drawOffer = null; }
+    this.closeModal('modal-draw-offer');
+  }
+
   showGameOver(result, engine) {
     const icon = document.getElementById('gameover-icon');
     const msg  = document.getElementById('gameover-message');
@@ -187,9 +469,42 @@ class UIManager {
     }
     rsn.textContent = 'by ' + (result.reason || 'checkmate');
     if (stats) stats.textContent = `Moves played: ${movesPlayed}`;
+    this.setReviewButton('Review Game');
     this.openModal('modal-game-over');
   }
 
+  /** Game-over modal: label the Review button; `busy` disables it while reviewing */
+  setReviewButton(label, busy = false) {
+    const btn = document.getElementById('btn-review-game');
+    if (btn) { btn.textContent = label; btn.disabled = busy; }
+  }
+
+  /** Game-over modal: accuracy and error counts from AnalysisManager.reviewGame() */
+  showReviewSummary(review, whiteName, blackName) {
+    const stats = document.getElementById('gameover-stats');
+    if (stats) {
+      const row = p => `
+        <tr>
+          <td class="review-name"></td>
+          <td>${p.accuracy === null ? '–' : p.accuracy.toFixed(1) + '%'}</td>
+          <td class="nag-6">${p.inaccuracy}</td>
+          <td class="nag-2">${p.mistake}</td>
+          <td class="nag-4">${p.blunder}</td>
+        </tr>`;
+      stats.innerHTML = `
+        <table class="review-summary">
+          <tr><th></th><th>Accuracy</th><th title="Inaccuracies">?!</th><th title="Mistakes">?</th><th title="Blunders">??</th></tr>
+          ${row(review.players.w)}
+          ${row(review.players.b)}
+        </table>`;
+      // Names are user-typed: set as text
+      const names = stats.querySelectorAll('.review-name');
+      names[0].textContent = whiteName || 'White';
+      names[1].textContent = blackName || 'Black';
+    }
+    this.setReviewButton('Analyze Game');
+  }
+
   /* =====================================================
      TOAST NOTIFICATIONS
      ===================================================== */
@@ -238,7 +553,7 @@ class UIManager {
       } else {
         hist.innerHTML = history.slice(0, 10).map(g => `
           <div class="history-item">
-            <span>${g.white || 'White'} vs ${g.black || 'Black'}</span>
+            <span>${g.white || 'White'}${g.whiteElo ? ` (${g.whiteElo})` : ''} vs ${g.black || 'Black'}${g.blackElo ? ` (${g.blackElo})` : ''}</span>
             <span>${g.mode || 'pvp'}</span>
             <span class="history-result ${g.result}">${g.result === 'draw' ? 'Draw' : g.result === 'win' ? '✓ Win' : '✗ Loss'}</span>
             <span style="color:var(--text-muted);font-size:0.75rem">${g.date ? g.date.split('T')[0] : ''}</span>
@@ -248,6 +563,83 @@ class UIManager {
     }
   }
 
+  /* =====================================================
+     PGN GAME LIST
+     ===================================================== */
+  /** Tags shown as the game list's columns */
+  static get GAME_LIST_COLUMNS() { return ['White', 'Black', 'Result', 'Date', 'Event', 'ECO']; }
+
+  /** Rows rendered at most; a narrower filter shows the rest */
+  static get GAME_LIST_LIMIT() { return 500; }
+
+  /**
+   * Fill the PGN games modal.
+   * @param {object} list - { name, games: [{ tags, error }], filter, sort, dir }:
+   *   error marks a game that can't be read (shown, but greyed out);
+   *   filter: words that must all appear in a game's columns;
+   *   sort: the column's tag (or null for file order), dir: 1 | -1
+   * @param {function} onSelect - called with the game's index in list.games
+   */
+  renderGameList(list, onSelect) {
+    const body  = document.getElementById('pgn-games-rows');
+    if (!body) return;
+    const cols  = UIManager.GAME_LIST_COLUMNS;
+    const words = list.filter.toLowerCase().split(/\s+/).filter(Boolean);
+
+    let rows = list.games.map((game, index) => ({ game, index }));
+    if (words.length) {
+      rows = rows.filter(({ game }) => {
+        const text = cols.map(tag => game.tags[tag] || '').join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+      });
+    }
+    if (list.sort) {
+      // Missing and '?' values last either way
+      const value = row => (row.game.tags[list.sort] || '').replace(/^\?+$/, '');
+      rows.sort((a, b) => {
+        const va = value(a), vb = value(b);
+        if (!va || !vb) return (!va) - (!vb);
+        return list.dir * va.localeCompare(vb, undefined, { numeric: true });
+      });
+    }
+
+    const title = document.getElementById('pgn-games-title');
+    if (title) title.textContent = list.name;
+    const count = document.getElementById('pgn-games-count');
+    if (count) {
+      count.textContent = rows.length === list.games.length
+        ? `${list.games.length} games`
+        : `${rows.length} of ${list.games.length} games`;
+    }
+    document.querySelectorAll('.pgn-games-table th[data-sort]').forEach(th => {
+      th.classList.toggle('sort-asc',  th.dataset.sort === list.sort && list.dir > 0);
+      th.classList.toggle('sort-desc', th.dataset.sort === list.sort && list.dir < 0);
+    });
+
+    // Tags come from the file: set as text
+    body.innerHTML = '';
+    for (const { game, index } of rows.slice(0, UIManager.GAME_LIST_LIMIT)) {
+      const tr = document.createElement('tr');
+      for (const tag of cols) {
+        const td = document.createElement('td');
+        td.textContent = game.tags[tag] || '';
+        tr.appendChild(td);
+      }
+      if (game.error) {
+        tr.classList.add('pgn-games-bad');
+        tr.title = 'Unreadable: ' + game.error;
+      }
+      tr.addEventListener('click', () => onSelect(index));
+      body.appendChild(tr);
+    }
+    if (rows.length > UIManager.GAME_LIST_LIMIT) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td class="pgn-games-more" colspan="${cols.length}">
+        ${rows.length - UIManager.GAME_LIST_LIMIT} more — filter to narrow the list</td>`;
+      body.appendChild(tr);
+    }
+  }
+
   /* =====================================================
      PUZZLE PANEL
      ===================================================== */
@@ -265,9 +657,14 @@ class UIManager {
   /* =====================================================
      REPLAY CONTROLS
      ===================================================== */
+  /** Replay controls and engine lines (analysis mode only) */
   showReplayControls(show) {
     const el = document.getElementById('replay-controls');
     if (el) el.style.display = show ? 'flex' : 'none';
+    const pv = document.getElementById('pv-panel');
+    if (pv) pv.style.display = show ? 'block' : 'none';
+    const graph = document.getElementById('eval-graph-panel');
+    if (graph) graph.style.display = show ? 'block' : 'none';
   }
 
   /* =====================================================
@@ -0,0 +1,333 @@
+/**
+ * WebChess Pro — Self-Play Match Runner (tools/match.js)
+ * Plays games between two ChessAI configurations from a set of opening
+ * positions, each opening twice with colours swapped. Reports W/D/L for
+ * player A, the Elo difference with a 95% error margin and an SPRT
+ * verdict, and writes every game to a PGN file.
+ *
+ * Usage:
+ *   node tools/match.js [options]
+ *
+ *   --games N          games to play (default 20)
+ *   --a "k=v,..."      player A, the version under test (default depth=3)
+ *   --b "k=v,..."      player B, the baseline (default depth=3)
+ *   --openings FILE    one FEN (or EPD) per line; # starts a comment
+ *   --pgn FILE         where to write the games (default match.pgn)
+ *   --sprt E0,E1       SPRT hypotheses in Elo (default 0,10; alpha = beta = 0.05)
+ *   --sprt-stop        stop as soon as the SPRT reaches a verdict
+ *
+ * Player keys: depth, nodes, movetime (ms), level (1–5), personality
+ * (attacker, positional, materialist, trappy), hash (MB), checkext (0/1),
+ * name, weights — an evaluation weights JSON from tools/tune.js — and
+ * scripts — a directory holding another copy of engine.js and ai.js,
+ * e.g. an earlier commit checked out with `git worktree add ../baseline
+ * <commit>`. The checkout's scripts/ must be ES modules, and its
+ * ChessAI.getBestMove() must honour the depth, nodes and movetime limits.
+ *   node tools/match.js --games 100 --b "depth=3,scripts=../baseline/scripts"
+ *   node tools/match.js --games 100 --a "depth=3,weights=eval-weights.json"
+ *
+ * Adjudication: a mate score from both sides on consecutive moves ends the
+ * game at once; both sides agreeing on ±1000 cp for 4 moves each is a win;
+ * from move 40, 8 plies within ±10 cp is a draw; so is move 200.
+ */
+
+'use strict';
+
+import { appendFileSync, readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ChessEngine } from '../scripts/engine.js';
+import { PGNManager } from '../scripts/pgn.js';
+import { MATE_BOUND } from '../scripts/ai.js';
+
+/** Balanced positions a few moves into common openings, white to move */
+const DEFAULT_OPENINGS = [
+  'r1bqkbnr/1ppp1ppp/p1n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4',       // Ruy Lopez
+  'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4',      // Italian
+  'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq - 0 6',         // Sicilian Najdorf
+  'rnb1kbnr/pp2pppp/8/2pq4/8/2P5/PP1P1PPP/RNBQKBNR w KQkq - 0 4',             // Sicilian Alapin
+  'rnbqk1nr/ppp2ppp/4p3/3p4/1b1PP3/2N5/PPP2PPP/R1BQKBNR w KQkq - 2 4',        // French Winawer
+  'rn1qkbnr/pp2pppp/2p5/3pPb2/3P4/8/PPP2PPP/RNBQKBNR w KQkq - 1 4',           // Caro-Kann
+  'rnb1kbnr/ppp1pppp/8/q7/8/2N5/PPPP1PPP/R1BQKBNR w KQkq - 2 4',              // Scandinavian
+  'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq - 2 4',         // Queen's Gambit Declined
+  'rnbqkb1r/pp2pppp/2p2n2/3p4/2PP4/5N2/PP2PPPP/RNBQKB1R w KQkq - 2 4',        // Slav
+  'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N5/PP3PPP/R1BQKBNR w KQkq - 0 5',         // King's Indian
+  'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N5/PP2PPPP/R1BQKBNR w KQkq - 2 4',          // Nimzo-Indian
+  'rnbqkb1r/ppp2ppp/5n2/3pp3/2P5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq d6 0 4',      // English
+  'rnbqkb1r/pp2pppp/5n2/2pp4/3P1B2/4P3/PPP2PPP/RN1QKBNR w KQkq c6 0 4',       // London
+  'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq - 0 4'         // Pirc
+];
+
+const ADJUDICATION = {
+  resignScore: 1000,   // centipawns, from the mover's search
+  resignPlies: 8,      // consecutive plies (4 moves each side)
+  drawScore:   10,
+  drawPlies:   8,
+  drawFromPly: 80,     // move 40
+  maxPlies:    400     // move 200
+};
+
+const SPRT_ALPHA = 0.05;
+const SPRT_BETA  = 0.05;
+const PRIOR      = 0.5;    // pseudo-games of each result in the variance
+
+/* =================================================================
+   PLAYERS
+   ================================================================= */
+
+/** "depth=4,scripts=../old/scripts" → { depth: '4', scripts: '../old/scripts' } */
+function parseSpec(spec) {
+  const config = {};
+  for (const part of (spec || '').split(',')) {
+    const [key, ...value] = part.split('=');
+    if (key.trim()) config[key.trim()] = value.join('=').trim();
+  }
+  return config;
+}
+
+/**
+ * Import ChessEngine and ChessAI from the player's scripts directory and
+ * build its AI. Each player keeps its own board, since two versions may
+ * not share an engine class. Weights are module-wide, so a player with
+ * its own gets a separate instance of engine.js; its ChessAI reads piece
+ * values from the engine it searches, so it orders moves by them too.
+ */
+async function loadPlayer(spec, label) {
+  const config = parseSpec(spec);
+  const dir = config.scripts
+    ? pathToFileURL(resolve(config.scripts) + '/')
+    : new URL('../scripts/', import.meta.url);
+  const engineUrl = new URL('engine.js', dir);
+  if (config.weights) engineUrl.search = `player=${label}`;
+  const notModules = `${dir.pathname}: engine.js and ai.js must be ES modules exporting ChessEngine and ChessAI`;
+  const [{ ChessEngine: PlayerEngine }, { ChessAI }] = await Promise.all(
+    [engineUrl, new URL('ai.js', dir)].map(url => import(url))
+  ).catch(err => { throw new Error(`${notModules} (${err.message})`); });
+  if (typeof PlayerEngine !== 'function' || typeof ChessAI !== 'function') throw new Error(notModules);
+  if (config.weights) PlayerEngine.loadEvalWeights(JSON.parse(readFileSync(config.weights, 'utf8')));
+
+  const ai = new ChessAI();
+  if (config.hash) ai.setHashSize(parseInt(config.hash));
+  if (config.checkext) ai.checkExtensions = config.checkext !== '0';
+
+  const limits = {};
+  for (const key of ['depth', 'nodes', 'movetime', 'level']) {
+    if (config[key]) limits[key] = parseInt(config[key]);
+  }
+  if (!limits.depth && !limits.nodes && !limits.movetime) limits.depth = 3;
+  if (config.personality) limits.personality = config.personality;
+
+  const settings = Object.entries(config).filter(([k]) => k !== 'name').map(([k, v]) => `${k}=${v}`);
+  const name = config.name || `${label} (${settings.join(', ') || 'depth=3'})`;
+  return { name, ai, limits, PlayerEngine, engine: null };
+}
+
+/* =================================================================
+   GAMES
+   ================================================================= */
+
+/**
+ * Play one game; the referee engine keeps the official record and ends
+ * the game on mate, stalemate, repetition, the 50-move rule or
+ * insufficient material, the rest is adjudicated.
+ * @returns {{ referee: ChessEngine, result: string, termination: string }}
+ */
+function playGame(opening, white, black) {
+  const referee = new ChessEngine();
+  referee.loadFEN(opening);
+  const players = { w: white, b: black };
+  for (const player of [white, black]) {
+    player.engine = new player.PlayerEngine();
+    player.engine.loadFEN(opening);
+    player.ai.tt?.clear();
+  }
+
+  let resignStreak = 0, drawStreak = 0, lastScore = 0;
+  while (!referee.gameOver) {
+    const player = players[referee.turn];
+    const move   = player.ai.getBestMove(player.engine, player.limits);
+    if (!move) break;
+    const uci   = player.engine.moveToUci(move);
+    const score = player.ai.lastScore;   // white-relative
+
+    const record = referee.makeMove(referee.moveFromUci(uci));
+    if (!record) throw new Error(`${player.name} played an illegal move: ${uci}`);
+    for (const p of [white, black]) p.engine.applyMoveFull(p.engine.moveFromUci(uci));
+    if (referee.gameOver) break;
+
+    // Mate announced by both sides in a row
+    if (Math.abs(score) > MATE_BOUND && Math.abs(lastScore) > MATE_BOUND && Math.sign(score) === Math.sign(lastScore)) {
+      return { referee, result: score > 0 ? '1-0' : '0-1', termination: 'adjudication: forced mate' };
+    }
+    const sameSide = Math.sign(score) === Math.sign(lastScore);
+    resignStreak = Math.abs(score) >= ADJUDICATION.resignScore && sameSide ? resignStreak + 1 : 0;
+    lastScore = score;
+    if (resignStreak >= ADJUDICATION.resignPlies) {
+      return { referee, result: score > 0 ? '1-0' : '0-1', termination: 'adjudication: decisive score' };
+    }
+
+    const ply = referee.moveHistory.length;
+    drawStreak = ply >= ADJUDICATION.drawFromPly && Math.abs(score) <= ADJUDICATION.drawScore ? drawStreak + 1 : 0;
+    if (drawStreak >= ADJUDICATION.drawPlies) {
+      return { referee, result: '1/2-1/2', termination: 'adjudication: drawn score' };
+    }
+    if (ply >= ADJUDICATION.maxPlies) {
+      return { referee, result: '1/2-1/2', termination: 'adjudication: move limit' };
+    }
+  }
+
+  const r = referee.gameResult;
+  const result = !r ? '1/2-1/2' : !r.winner ? '1/2-1/2' : r.winner === 'w' ? '1-0' : '0-1';
+  return { referee, result, termination: r ? r.reason : 'no legal move' };
+}
+
+/* =================================================================
+   STATISTICS
+   ================================================================= */
+
+/** Elo difference for a score fraction */
+function eloFromScore(score) {
+  const s = Math.min(Math.max(score, 1e-6), 1 - 1e-6);
+  return -400 * Math.log10(1 / s - 1);
+}
+
+function scoreFromElo(elo) {
+  return 1 / (1 + 10 ** (-elo / 400));
+}
+
+/**
+ * Mean score and per-game variance from W/D/L. The variance counts PRIOR
+ * extra games of each result, so a run of identical results (all wins
+ * against a much weaker change) still has a spread and the SPRT can end.
+ */
+function scoreStats({ wins, draws, losses }) {
+  const n    = wins + draws + losses;
+  const mean = (wins + draws / 2) / n;
+  const w = wins + PRIOR, d = draws + PRIOR, l = losses + PRIOR;
+  const m = (w + d / 2) / (w + d + l);
+  const variance = (w * (1 - m) ** 2 + d * (0.5 - m) ** 2 + l * m ** 2) / (w + d + l);
+  return { n, mean, variance };
+}
+
+/**
+ * Elo difference and its 95% margin. At a 0% or 100% score the difference
+ * has no finite estimate: error is Infinity and bound the 95% limit on
+ * the side that is known.
+ */
+function eloEstimate(tally) {
+  const { n, mean, variance } = scoreStats(tally);
+  const margin = 1.96 * Math.sqrt(variance / n);
+  const elo    = eloFromScore(mean);
+  if (mean <= 0 || mean >= 1) {
+    return { elo, error: Infinity, bound: eloFromScore(mean >= 1 ? mean - margin : mean + margin) };
+  }
+  const error  = (eloFromScore(mean + margin) - eloFromScore(mean - margin)) / 2;
+  return { elo, error, bound: null };
+}
+
+/**
+ * Sequential probability ratio test of H0: elo = elo0 against
+ * H1: elo = elo1, by the normal approximation of the log-likelihood ratio.
+ */
+function sprt(tally, elo0, elo1) {
+  const lower = Math.log(SPRT_BETA / (1 - SPRT_ALPHA));
+  const upper = Math.log((1 - SPRT_BETA) / SPRT_ALPHA);
+  const { n, mean, variance } = scoreStats(tally);
+  const s0 = scoreFromElo(elo0), s1 = scoreFromElo(elo1);
+  const llr = n * (s1 - s0) * (2 * mean - s0 - s1) / (2 * variance);
+  const verdict = llr >= upper ? 'H1' : llr <= lower ? 'H0' : null;
+  return { llr, lower, upper, verdict };
+}
+
+function report(tally, a, b, [elo0, elo1]) {
+  const { wins, draws, losses } = tally;
+  const { n, mean } = scoreStats(tally);
+  const { elo, error, bound } = eloEstimate(tally);
+  const signed = x => `${x >= 0 ? '+' : ''}${x.toFixed(1)}`;
+  const eloText = bound === null ? `${signed(elo)} ± ${error.toFixed(1)} (95%)`
+    : `${mean >= 1 ? '≥' : '≤'} ${signed(bound)} (95%; unbounded at a ${mean >= 1 ? 100 : 0}% score)`;
+  const test = sprt(tally, elo0, elo1);
+  const verdict = test.verdict === 'H1' ? `H1 accepted: A is stronger (elo >= ${elo1})`
+    : test.verdict === 'H0' ? `H0 accepted: A is not stronger (elo <= ${elo0})`
+    : 'inconclusive, keep playing';
+
+  console.log(`\n${a.name} vs ${b.name}`);
+  console.log(`Games: ${n}   W/D/L: ${wins}/${draws}/${losses}   Score: ${(mean * 100).toFixed(1)}%`);
+  console.log(`Elo difference: ${eloText}`);
+  console.log(`SPRT [${elo0}, ${elo1}]: LLR ${test.llr.toFixed(2)} (${test.lower.toFixed(2)}, ${test.upper.toFixed(2)}) — ${verdict}`);
+}
+
+/* =================================================================
+   MAIN
+   ================================================================= */
+function parseArgs(argv) {
+  const args = { games: 20, a: '', b: '', openings: null, pgn: 'match.pgn', sprt: '0,10', sprtStop: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--games':     args.games    = parseInt(argv[++i]) || args.games; break;
+      case '--a':         args.a        = argv[++i]; break;
+      case '--b':         args.b        = argv[++i]; break;
+      case '--openings':  args.openings = argv[++i]; break;
+      case '--pgn':       args.pgn      = argv[++i]; break;
+      case '--sprt':      args.sprt     = argv[++i]; break;
+      case '--sprt-stop': args.sprtStop = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/** FENs from a file, one per line; EPD lines keep their first four fields */
+function readOpenings(file) {
+  return readFileSync(file, 'utf8').split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const fields = line.split(/\s+/);
+      return /^\d+$/.test(fields[4] || '') ? fields.slice(0, 6).join(' ') : fields.slice(0, 4).join(' ') + ' 0 1';
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const openings = args.openings ? readOpenings(args.openings) : DEFAULT_OPENINGS;
+  if (!openings.length) throw new Error('No openings');
+  const bounds = args.sprt.split(',').map(Number);
+  const a = await loadPlayer(args.a, 'A');
+  const b = await loadPlayer(args.b, 'B');
+
+  writeFileSync(args.pgn, '');
+  const tally = { wins: 0, draws: 0, losses: 0 };
+  const date  = new Date().toISOString().split('T')[0].replace(/-/g, '.');
+
+  for (let i = 0; i < args.games; i++) {
+    // Each opening twice, A taking white first
+    const opening = openings[Math.floor(i / 2) % openings.length];
+    const aWhite  = i % 2 === 0;
+    const [white, black] = aWhite ? [a, b] : [b, a];
+    const { referee, result, termination } = playGame(opening, white, black);
+
+    const aScore = result === '1/2-1/2' ? 0.5 : (result === '1-0') === aWhite ? 1 : 0;
+    if (aScore === 1) tally.wins++;
+    else if (aScore === 0) tally.losses++;
+    else tally.draws++;
+
+    const pgn = PGNManager.export(referee, {
+      event: 'WebChess Pro self-play', site: 'tools/match.js', date, round: String(i + 1),
+      white: white.name, black: black.name, result, termination
+    });
+    appendFileSync(args.pgn, pgn + '\n\n');
+    console.log(`Game ${i + 1}/${args.games}: ${aWhite ? 'A-B' : 'B-A'} ${result} (${termination}, ` +
+      `${referee.moveHistory.length} plies)   A: +${tally.wins} =${tally.draws} -${tally.losses}`);
+
+    if (args.sprtStop && sprt(tally, ...bounds).verdict) break;
+  }
+
+  report(tally, a, b, bounds);
+  console.log(`\nGames written to ${args.pgn}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
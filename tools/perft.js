@@ -0,0 +1,108 @@
+/**
+ * WebChess Pro — Perft Runner (tools/perft.js)
+ * Headless move-generator verification. Runs ChessEngine.perft() on the
+ * standard perft positions and compares against the published node counts.
+ *
+ * Usage:
+ *   node tools/perft.js                 run the suite (quick depths)
+ *   node tools/perft.js --full          run every listed depth (slow)
+ *   node tools/perft.js --divide 3 [fen]  per-move node counts
+ */
+
+'use strict';
+
+import { ChessEngine } from '../scripts/engine.js';
+
+/** Known node counts, index 0 = depth 1 */
+const PERFT_SUITE = [
+  {
+    name:   'Start position',
+    fen:    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    counts: [20, 400, 8902, 197281, 4865609]
+  },
+  {
+    name:   'Kiwipete',
+    fen:    'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862, 4085603]
+  },
+  {
+    name:   'Position 3',
+    fen:    '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238, 674624]
+  },
+  {
+    name:   'Position 4',
+    fen:    'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467, 422333]
+  },
+  {
+    name:   'Position 4 (mirrored)',
+    fen:    'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    counts: [6, 264, 9467, 422333]
+  },
+  {
+    name:   'Position 5',
+    fen:    'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379, 2103487]
+  },
+  {
+    name:   'Position 6',
+    fen:    'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890, 3894594]
+  },
+  {
+    name:   'Chess960 #1',
+    fen:    'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    counts: [21, 528, 12189, 326672]
+  },
+  {
+    name:   'Chess960 #2',
+    fen:    '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    counts: [21, 807, 18002, 667366]
+  }
+];
+
+// Quick mode skips depths above this many nodes
+const QUICK_NODE_LIMIT = 250000;
+
+function runSuite(full) {
+  let failures = 0;
+  for (const pos of PERFT_SUITE) {
+    const engine = new ChessEngine();
+    engine.loadFEN(pos.fen);
+    const before = engine.toFEN();
+    pos.counts.forEach((expected, i) => {
+      if (!full && expected > QUICK_NODE_LIMIT) return;
+      const depth = i + 1;
+      const t0 = Date.now();
+      const nodes = engine.perft(depth);
+      const ms = Date.now() - t0;
+      const ok = nodes === expected;
+      if (!ok) failures++;
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${pos.name} depth ${depth}: ${nodes}` +
+        (ok ? '' : ` (expected ${expected})`) + ` [${ms} ms]`);
+    });
+    if (engine.toFEN() !== before) {
+      failures++;
+      console.log(`FAIL ${pos.name}: position not restored after perft`);
+    }
+  }
+  console.log(failures ? `\n${failures} failure(s)` : '\nAll perft counts match');
+  return failures;
+}
+
+function runDivide(depth, fen) {
+  const engine = new ChessEngine();
+  if (fen) engine.loadFEN(fen);
+  const { moves, total } = engine.divide(depth);
+  moves.sort((a, b) => a.move.localeCompare(b.move));
+  for (const { move, nodes } of moves) console.log(`${move}: ${nodes}`);
+  console.log(`\nMoves: ${moves.length}\nNodes: ${total}`);
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--divide') {
+  runDivide(parseInt(args[1] || '1'), args.slice(2).join(' '));
+} else {
+  process.exitCode = runSuite(args.includes('--full')) ? 1 : 0;
+}
@@ -0,0 +1,91 @@
+/**
+ * WebChess Pro — PGN Check (tools/pgn-check.js)
+ * Headless PGN verification. Imports a suite of games with PGNManager,
+ * checks the replayed moves and final position, and exports each one
+ * back to check that the round trip keeps the movetext.
+ *
+ * Usage:
+ *   node tools/pgn-check.js
+ */
+
+'use strict';
+
+import { ChessEngine } from '../scripts/engine.js';
+import { PGNManager } from '../scripts/pgn.js';
+
+/** moves: mainline length after import; fen: position after it; over: the game's end reason, or null */
+const PGN_SUITE = [
+  {
+    name:  'Threefold repetition ends the game',
+    pgn:   '1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 1/2-1/2',
+    moves: 8,
+    fen:   ChessEngine.START_FEN.replace('0 1', '8 5'),
+    over:  'threefold repetition'
+  },
+  {
+    name:  'Game played on past an unclaimed repetition',
+    pgn:   '1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 5. e4 *',
+    moves: 9,
+    fen:   'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 5',
+    over:  null
+  },
+  {
+    name:  'Game played on past the 50-move rule',
+    pgn:   '[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K2R w K - 99 80"]\n\n' +
+           '80. Rh2 Kd8 81. e4 *',
+    moves: 3,
+    fen:   '3k4/8/8/8/4P3/8/7R/4K3 b - e3 0 81',
+    over:  null
+  },
+  {
+    name:  'Variations, comments and NAGs',
+    pgn:   '1. e4 {best by test} 1... e5 (1... c5 $1 2. Nf3) 2. Nf3 Nc6 *',
+    moves: 4,
+    fen:   'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3',
+    over:  null
+  }
+];
+
+/** The movetext of a PGN: everything after the tag pairs, on one line */
+function movetext(pgn) {
+  return pgn.replace(/^\[.*\]$/gm, '').replace(/\s+/g, ' ').trim();
+}
+
+function runSuite() {
+  let failures = 0;
+  const fail = (name, why) => { failures++; console.log(`FAIL ${name}: ${why}`); };
+  for (const game of PGN_SUITE) {
+    const engine = new ChessEngine();
+    let applied, tree;
+    try {
+      ({ applied, tree } = PGNManager.import(engine, game.pgn));
+    } catch (err) {
+      fail(game.name, err.message);
+      continue;
+    }
+    const over = engine.gameOver ? engine.gameResult.reason : null;
+    if (applied.length !== game.moves) fail(game.name, `${applied.length} moves (expected ${game.moves})`);
+    else if (engine.toFEN() !== game.fen) fail(game.name, `position ${engine.toFEN()} (expected ${game.fen})`);
+    else if (over !== game.over) fail(game.name, `game over: ${over} (expected ${game.over})`);
+    else if (movetext(PGNManager.export(engine, {}, tree)) !== movetext(game.pgn)) {
+      fail(game.name, `exported as "${movetext(PGNManager.export(engine, {}, tree))}"`);
+    } else {
+      console.log(`ok   ${game.name}`);
+    }
+  }
+
+  // A broken game in a file doesn't lose the others
+  const file  = PGN_SUITE.map(g => g.pgn).join('\n\n') + '\n\n[Event "Broken\n\n1. e4 *\n';
+  const split = PGNManager.splitGames(file);
+  const read  = split.filter(g => !g.error).length;
+  if (split.length !== PGN_SUITE.length + 1 || read !== PGN_SUITE.length) {
+    fail('Multi-game file', `${split.length} games, ${read} readable`);
+  } else {
+    console.log('ok   Multi-game file');
+  }
+
+  console.log(failures ? `\n${failures} failure(s)` : '\nAll PGN checks pass');
+  return failures;
+}
+
+process.exitCode = runSuite() ? 1 : 0;
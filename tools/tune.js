@@ -0,0 +1,249 @@
+/**
+ * WebChess Pro — Evaluation Tuner (tools/tune.js)
+ * Texel-style tuning of the evaluation weights: collects quiet positions
+ * labelled with their game's result, fits the scaling constant K, then
+ * adjusts one parameter at a time (local search) while the mean squared
+ * error between result and sigmoid(K · eval) keeps falling. Writes a
+ * weights JSON for ChessEngine.loadEvalWeights() / ChessAI.setEvalWeights().
+ *
+ * Usage:
+ *   node tools/tune.js --pgn games.pgn [options]
+ *   node tools/tune.js --epd positions.epd [options]
+ *
+ *   --pgn FILE         games with a Result; positions are taken from every ply
+ *   --epd FILE         one position per line with its result: c9 "1-0", [1.0] or 1/2-1/2
+ *   --out FILE         where to write the weights (default eval-weights.json)
+ *   --weights FILE     start from these weights instead of the built-in ones
+ *   --limit N          positions to tune on, spread over the input (default 20000)
+ *   --skip N           opening plies to leave out of each PGN game (default 8)
+ *   --step N           first step size in centipawns, halved down to 1 (default 8)
+ *   --passes N         at most this many passes over the parameters (default 20)
+ *   --k K              fixed scaling constant instead of fitting it
+ *
+ * The weights file is rewritten after every pass, so stopping early keeps
+ * the progress. Try the result against the built-in weights with
+ *   node tools/match.js --games 200 --a "depth=3,weights=eval-weights.json"
+ */
+
+'use strict';
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { ChessEngine, PIECE_VALUES } from '../scripts/engine.js';
+import { PGNManager } from '../scripts/pgn.js';
+
+const RESULTS = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5 };
+
+/* =================================================================
+   POSITIONS
+   ================================================================= */
+
+/**
+ * Quiet enough to judge by static evaluation: not in check, with moves
+ * left and no promotion or capture that wins material outright (a
+ * bigger piece, or an undefended one) pending.
+ */
+function isQuiet(engine) {
+  const { board, turn } = engine;
+  if (engine.isInCheck(board, turn)) return false;
+  const moves = engine.getAllLegalMoves();
+  if (!moves.length) return false;
+  const enemy = ChessEngine.opp(turn);
+  return !moves.some(m => {
+    if (m.promoteTo) return true;
+    const victim = board[m.to];
+    if (!victim || ChessEngine.color(victim) !== enemy) return false;
+    return PIECE_VALUES[ChessEngine.type(victim)] > PIECE_VALUES[ChessEngine.type(board[m.from])] ||
+      !engine.isAttacked(board, m.to, enemy);
+  });
+}
+
+/** [{ fen, result }] from every game with a decisive or drawn Result */
+function readPGN(file, skip) {
+  const samples = [];
+  let skipped = 0;
+  for (const { tags, pgn, error } of PGNManager.splitGames(readFileSync(file, 'utf8'))) {
+    if (error) { skipped++; continue; }
+    const result = RESULTS[tags.Result];
+    if (result === undefined) continue;
+    const engine = new ChessEngine();
+    let game;
+    try {
+      game = PGNManager.import(engine, pgn);
+    } catch {
+      skipped++;
+      continue;
+    }
+    // Walk back from the final position
+    for (let ply = game.applied.length; ply >= skip; ply--) {
+      if (ply < game.applied.length) engine.undoMove();
+      if (isQuiet(engine)) samples.push({ fen: engine.toFEN(), result });
+    }
+  }
+  if (skipped) console.log(`Skipped ${skipped} unreadable game(s)`);
+  return samples;
+}
+
+/** [{ fen, result }] from EPD lines; the four FEN fields come first */
+function readEPD(file) {
+  const samples = [];
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 5) continue;
+    const label = /c9\s+"([^"]+)"|\[([\d.]+)\]|(1-0|0-1|1\/2-1\/2)/.exec(line);
+    if (!label) continue;
+    const result = label[2] !== undefined ? parseFloat(label[2]) : RESULTS[label[1] || label[3]];
+    if (!(result >= 0 && result <= 1)) continue;
+    const fen = fields.slice(0, 4).join(' ') + ' 0 1';
+    try {
+      const engine = new ChessEngine();
+      engine.loadFEN(fen);
+      if (isQuiet(engine)) samples.push({ fen, result });
+    } catch {
+      // not a position
+    }
+  }
+  return samples;
+}
+
+/** At most `limit` samples, evenly spread so no game or file region dominates */
+function spread(samples, limit) {
+  if (samples.length <= limit) return samples;
+  const picked = [];
+  for (let i = 0; i < limit; i++) picked.push(samples[Math.floor(i * samples.length / limit)]);
+  return picked;
+}
+
+/* =================================================================
+   TUNING
+   ================================================================= */
+
+/** Loaded positions with their results, for the error function */
+function prepare(samples) {
+  const engines = samples.map(({ fen }) => {
+    const engine = new ChessEngine();
+    engine.loadFEN(fen);
+    return engine;
+  });
+  return { engines, results: Float64Array.from(samples, s => s.result) };
+}
+
+/** Mean squared error of sigmoid(K · eval) against the game results */
+function meanError({ engines, results }, k) {
+  let sum = 0;
+  for (let i = 0; i < engines.length; i++) {
+    const expected = 1 / (1 + Math.pow(10, -k * engines[i].evaluate() / 400));
+    sum += (results[i] - expected) ** 2;
+  }
+  return sum / engines.length;
+}
+
+/** The K that best maps evaluations to results (golden-section search) */
+function fitK(set) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let lo = 0.1, hi = 3;
+  while (hi - lo > 0.001) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (meanError(set, a) < meanError(set, b)) hi = b;
+    else lo = a;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Coordinate descent: try each parameter ± step, keep whatever lowers the
+ * error; when a pass changes nothing, halve the step.
+ */
+function localSearch(set, k, args) {
+  const { names, values } = ChessEngine.evalParams();
+  const tunable = [];
+  names.forEach((name, i) => {
+    // Pawns never stand on the first or last rank
+    const pawn = /^pst\.P\.(\d+)$/.exec(name);
+    if (!pawn || (pawn[1] >= 8 && pawn[1] < 56)) tunable.push(i);
+  });
+
+  let best = meanError(set, k);
+  let step = args.step;
+  console.log(`Start: error ${best.toFixed(6)}, ${tunable.length} parameters`);
+
+  for (let pass = 1; pass <= args.passes && step >= 1; pass++) {
+    const started = Date.now();
+    let changed = 0;
+    for (const i of tunable) {
+      const original = values[i];
+      for (const delta of [step, -step]) {
+        values[i] = original + delta;
+        ChessEngine.setEvalParams(values);
+        const error = meanError(set, k);
+        if (error < best) {
+          best = error;
+          changed++;
+          break;
+        }
+        values[i] = original;
+      }
+      ChessEngine.setEvalParams(values);
+    }
+    save(args.out);
+    console.log(`Pass ${pass} (step ${step}): error ${best.toFixed(6)}, ${changed} changed, ` +
+      `${((Date.now() - started) / 1000).toFixed(1)}s`);
+    if (!changed) step = Math.floor(step / 2);
+  }
+  return best;
+}
+
+/** evalWeights() as JSON, each table and pair on one line */
+function save(file) {
+  const json = JSON.stringify(ChessEngine.evalWeights(), null, 2)
+    .replace(/\[\s+([^\]]*?)\s+\]/g, (_, body) => `[${body.split(/,\s+/).join(', ')}]`);
+  writeFileSync(file, json + '\n');
+}
+
+/* =================================================================
+   MAIN
+   ================================================================= */
+function parseArgs(argv) {
+  const args = {
+    pgn: null, epd: null, out: 'eval-weights.json', weights: null,
+    limit: 20000, skip: 8, step: 8, passes: 20, k: null
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--pgn':     args.pgn     = argv[++i]; break;
+      case '--epd':     args.epd     = argv[++i]; break;
+      case '--out':     args.out     = argv[++i]; break;
+      case '--weights': args.weights = argv[++i]; break;
+      case '--limit':   args.limit   = parseInt(argv[++i]) || args.limit; break;
+      case '--skip':    args.skip    = Math.max(0, parseInt(argv[++i]) || 0); break;
+      case '--step':    args.step    = Math.max(1, parseInt(argv[++i]) || args.step); break;
+      case '--passes':  args.passes  = parseInt(argv[++i]) || args.passes; break;
+      case '--k':       args.k       = parseFloat(argv[++i]) || null; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.pgn === !args.epd) throw new Error('Give one of --pgn FILE or --epd FILE');
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.weights) ChessEngine.loadEvalWeights(JSON.parse(readFileSync(args.weights, 'utf8')));
+
+  const samples = args.pgn ? readPGN(args.pgn, args.skip) : readEPD(args.epd);
+  if (!samples.length) throw new Error('No quiet positions with a result found');
+  const set = prepare(spread(samples, args.limit));
+  console.log(`Positions: ${set.engines.length} of ${samples.length} quiet`);
+
+  const k = args.k || fitK(set);
+  console.log(`K: ${k.toFixed(3)}`);
+  const error = localSearch(set, k, args);
+  console.log(`\nFinal error ${error.toFixed(6)}; weights written to ${args.out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
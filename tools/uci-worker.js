@@ -0,0 +1,17 @@
+/**
+ * WebChess Pro — UCI Search Thread (tools/uci-worker.js)
+ * Runs scripts/ai-worker.js in a Node worker thread for tools/uci.js.
+ * The search worker talks to a browser-style `self`; this maps it onto
+ * the thread's parent port.
+ */
+
+'use strict';
+
+import { parentPort } from 'node:worker_threads';
+
+globalThis.self = { postMessage: msg => parentPort.postMessage(msg) };
+
+await import('../scripts/ai-worker.js');
+
+// The port holds messages back until a listener is attached
+parentPort.on('message', data => self.onmessage({ data }));
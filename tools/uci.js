@@ -0,0 +1,271 @@
+/**
+ * WebChess Pro — UCI Front-End (tools/uci.js)
+ * Speaks the UCI protocol over stdin/stdout, so ChessAI can play in GUIs
+ * such as Cute Chess or Arena and in match scripts. The search runs in a
+ * worker thread (tools/uci-worker.js), which keeps `stop` responsive.
+ *
+ * Usage:
+ *   node tools/uci.js
+ *
+ * Commands: uci, isready, ucinewgame, quit,
+ *   setoption name <Skill Level|Hash|MultiPV|UCI_Chess960> value <x>
+ *   position startpos|fen <fen> [moves <uci>...]
+ *   go [depth n] [nodes n] [movetime ms] [wtime ms] [btime ms] [winc ms] [binc ms] [infinite]
+ *   stop
+ */
+
+'use strict';
+
+import { createInterface } from 'node:readline';
+import { Worker } from 'node:worker_threads';
+import { ChessEngine } from '../scripts/engine.js';
+import { ChessAI, MATE_SCORE, MATE_BOUND } from '../scripts/ai.js';
+
+const LEVELS  = ChessAI.LEVELS;
+const MAX_MB  = 1024;
+
+const options = {
+  level:    LEVELS.length,   // Skill Level; the strongest plays flawlessly
+  hashMB:   16,
+  multiPV:  1,
+  chess960: false
+};
+
+const engine = new ChessEngine();
+let moves    = [];       // UCI moves played from engine.startFEN
+let worker   = null;     // started on the first search, replaced after a stop
+let search   = null;     // { id, white, infinite, startTime, best, result } while searching
+let searchId = 0;
+let closing  = false;    // stdin ended: quit once the running search reports
+
+function send(line) {
+  process.stdout.write(line + '\n');
+}
+
+function clamp(value, min, max, fallback) {
+  return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL('./uci-worker.js', import.meta.url));
+  worker.on('message', onWorkerMessage);
+  worker.on('error', err => {
+    send(`info string search error: ${err.message}`);
+    worker = null;
+    if (search) finishSearch(search.best?.move);
+  });
+  worker.postMessage({ type: 'hash', mb: options.hashMB });
+  return worker;
+}
+
+/* =================================================================
+   COMMANDS
+   ================================================================= */
+function uci() {
+  send('id name WebChess Pro');
+  send('id author WebChess Pro contributors');
+  send(`option name Skill Level type spin default ${LEVELS.length} min 1 max ${LEVELS.length}`);
+  send(`option name Hash type spin default 16 min 1 max ${MAX_MB}`);
+  send(`option name MultiPV type spin default 1 min 1 max ${ChessAI.MAX_PV}`);
+  send('option name UCI_Chess960 type check default false');
+  send('uciok');
+}
+
+/** setoption name <id> [value <x>]; option names may contain spaces */
+function setOption(args) {
+  const match = /^name\s+(.+?)(?:\s+value\s+(.*))?$/i.exec(args.join(' '));
+  if (!match) return;
+  const name  = match[1].toLowerCase();
+  const value = (match[2] || '').trim();
+  switch (name) {
+    case 'skill level':
+      options.level = clamp(parseInt(value), 1, LEVELS.length, options.level);
+      break;
+    case 'hash':
+      options.hashMB = clamp(parseInt(value), 1, MAX_MB, options.hashMB);
+      worker?.postMessage({ type: 'hash', mb: options.hashMB });
+      break;
+    case 'multipv':
+      options.multiPV = clamp(parseInt(value), 1, ChessAI.MAX_PV, options.multiPV);
+      break;
+    case 'uci_chess960':
+      options.chess960 = value.toLowerCase() === 'true';
+      break;
+    default:
+      send(`info string unknown option: ${match[1]}`);
+  }
+}
+
+/** position startpos|fen <fen> [moves ...] */
+function setPosition(args) {
+  let fen = ChessEngine.START_FEN;
+  let rest;
+  if (args[0] === 'startpos') {
+    rest = args.slice(1);
+  } else if (args[0] === 'fen') {
+    const end = args.indexOf('moves');
+    fen  = args.slice(1, end < 0 ? args.length : end).join(' ');
+    rest = end < 0 ? [] : args.slice(end);
+  } else {
+    return;
+  }
+
+  try {
+    engine.loadFEN(fen, { variant: options.chess960 ? 'chess960' : undefined });
+  } catch (err) {
+    send(`info string ${err.message}`);
+    engine.loadFEN(ChessEngine.START_FEN);
+  }
+  moves = [];
+  if (rest[0] !== 'moves') return;
+  for (const uciMove of rest.slice(1)) {
+    const move = engine.moveFromUci(uciMove);
+    if (!move) {
+      send(`info string illegal move: ${uciMove}`);
+      break;
+    }
+    engine.applyMoveFull(move);
+    moves.push(uciMove);
+  }
+}
+
+/** go: the clock limits become a movetime via ChessAI.allocateTime() */
+function go(args) {
+  cancelSearch();
+  const params = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === 'infinite') params.infinite = true;
+    else params[args[i]] = parseInt(args[++i]);
+  }
+
+  const strength = LEVELS[options.level - 1];
+  const white    = engine.turn === 'w';
+  const clock    = white ? params.wtime : params.btime;
+  const limits   = { level: options.level, multiPV: options.multiPV };
+  if (params.nodes > 0) limits.nodes = params.nodes;
+  if (params.movetime > 0) {
+    limits.movetime = params.movetime;
+  } else if (clock > 0 && !params.infinite) {
+    const increment = (white ? params.winc : params.binc) || 0;
+    limits.movetime = ChessAI.allocateTime(clock, increment, engine.fullMoveNumber);
+  }
+  // Open-ended searches go as deep as the level allows
+  const openEnded = params.infinite || limits.movetime || limits.nodes;
+  limits.depth = params.depth > 0 ? params.depth : openEnded ? strength.maxDepth : strength.depth;
+
+  const id = ++searchId;
+  search = { id, white, infinite: !!params.infinite, startTime: Date.now(), best: null, result: null };
+  const w = getWorker();
+  w.postMessage({ type: 'position', startFEN: engine.startFEN, variant: engine.variant, moves });
+  w.postMessage({ type: 'go', id, limits });
+}
+
+/** stop: answer at once with the deepest completed result */
+function stop() {
+  if (!search) return;
+  if (search.result) {
+    finishSearch(search.result.move);
+    return;
+  }
+  // The worker is inside a synchronous search and would only read a
+  // 'stop' afterwards, so replace it and play the last completed depth.
+  worker?.terminate();
+  worker = null;
+  finishSearch(search.best?.move);
+}
+
+/** ucinewgame: forget the previous game's transposition table */
+function newGame() {
+  cancelSearch();
+  worker?.postMessage({ type: 'hash', mb: options.hashMB });
+}
+
+/** Drop a running search without answering (a new 'go' or 'ucinewgame') */
+function cancelSearch() {
+  if (!search) return;
+  search = null;
+  worker?.terminate();
+  worker = null;
+}
+
+function quit() {
+  worker?.terminate();
+  process.exit(0);
+}
+
+/* =================================================================
+   SEARCH OUTPUT
+   ================================================================= */
+function onWorkerMessage(msg) {
+  if (!search || msg.id !== search.id) return;
+  if (msg.type === 'info') {
+    search.best = msg;
+    printInfo(msg);
+  } else if (msg.type === 'bestmove') {
+    // Tablebase moves come without a depth report
+    if (!search.best) printInfo(msg);
+    // 'go infinite' answers only after 'stop'
+    if (search.infinite && !closing) search.result = msg;
+    else finishSearch(msg.move);
+  } else if (msg.type === 'error') {
+    send(`info string ${msg.message}`);
+    finishSearch(search.best?.move);
+  }
+}
+
+function printInfo(msg) {
+  const time  = Date.now() - search.startTime;
+  const nps   = time ? Math.round(msg.nodes * 1000 / time) : 0;
+  const lines = msg.lines?.length ? msg.lines
+    : msg.move ? [{ score: msg.score, pv: [engine.moveToUci(msg.move)] }] : [];
+  lines.forEach((line, i) => {
+    const multipv = options.multiPV > 1 ? ` multipv ${i + 1}` : '';
+    send(`info depth ${Math.max(1, msg.depth)}${multipv} score ${uciScore(line.score, search.white)}` +
+      ` nodes ${msg.nodes} nps ${nps} time ${time} pv ${line.pv.join(' ')}`);
+  });
+}
+
+/** White-relative search score → UCI "cp x" / "mate n" for the side to move */
+function uciScore(score, white) {
+  const own = white ? score : -score;
+  if (Math.abs(own) > MATE_BOUND) {
+    const moves = Math.ceil((MATE_SCORE - Math.abs(own)) / 2);
+    return `mate ${own > 0 ? moves : -moves}`;
+  }
+  return `cp ${Math.round(own)}`;
+}
+
+function finishSearch(move) {
+  search = null;
+  // A stop before depth 1 completed still has to name a legal move
+  move = move || engine.getAllLegalMoves()[0];
+  send('bestmove ' + (move ? engine.moveToUci(move) : '0000'));
+  if (closing) quit();
+}
+
+/* =================================================================
+   INPUT
+   ================================================================= */
+const input = createInterface({ input: process.stdin });
+
+input.on('line', line => {
+  const [command, ...args] = line.trim().split(/\s+/);
+  switch (command) {
+    case 'uci':        uci();                   break;
+    case 'isready':    send('readyok');         break;
+    case 'ucinewgame': newGame();               break;
+    case 'setoption':  setOption(args);         break;
+    case 'position':   setPosition(args);       break;
+    case 'go':         go(args);                break;
+    case 'stop':       stop();                  break;
+    case 'quit':       quit();                  break;
+  }
+});
+
+// Piped input (e.g. a script) may end before the search does
+input.on('close', () => {
+  closing = true;
+  if (!search) quit();
+  else if (search.result) finishSearch(search.result.move);
+});